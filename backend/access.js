@@ -0,0 +1,138 @@
+// Access control for the proxy: optional API keys, per-key and per-IP
+// rate limits, and the CORS origin allowlist.
+//
+// Keys file (API_KEYS_FILE), JSON:
+//   { "keys": [ { "key": "...", "name": "kiosk", "rate_per_minute": 600 } ] }
+// rate_per_minute is optional and overrides the default per-key limit.
+
+import fs from "node:fs";
+
+const WINDOW_MS = 60 * 1000;
+
+export function loadApiKeys(file) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new Error(`Could not read API keys from ${file}: ${err.message}`);
+  }
+
+  const list = Array.isArray(raw) ? raw : raw.keys;
+  if (!Array.isArray(list)) throw new Error(`${file}: expected { "keys": [...] }`);
+
+  const keys = new Map();
+  list.forEach((entry, i) => {
+    const where = `${file}: keys[${i}]`;
+    if (!entry || typeof entry.key !== "string" || !entry.key) throw new Error(`${where}: "key" must be a non-empty string`);
+    if (keys.has(entry.key)) throw new Error(`${where}: duplicate key`);
+    if (entry.rate_per_minute !== undefined && !(Number(entry.rate_per_minute) > 0)) {
+      throw new Error(`${where}: rate_per_minute must be a positive number`);
+    }
+    keys.set(entry.key, {
+      name: entry.name || `key${i + 1}`,
+      ratePerMinute: entry.rate_per_minute !== undefined ? Number(entry.rate_per_minute) : null,
+    });
+  });
+  return keys;
+}
+
+// Fixed one-minute windows per client id. Old windows are swept lazily so
+// the map doesn't grow with every IP that ever connected.
+export function createRateLimiter() {
+  const windows = new Map(); // id -> { start, count }
+  let lastSweep = Date.now();
+
+  function take(id, limit, now = Date.now()) {
+    if (now - lastSweep > WINDOW_MS) {
+      for (const [k, w] of windows) if (now - w.start >= WINDOW_MS) windows.delete(k);
+      lastSweep = now;
+    }
+
+    let w = windows.get(id);
+    if (!w || now - w.start >= WINDOW_MS) {
+      w = { start: now, count: 0 };
+      windows.set(id, w);
+    }
+
+    const reset = Math.ceil((w.start + WINDOW_MS - now) / 1000);
+    if (w.count >= limit) return { ok: false, limit, remaining: 0, reset };
+    w.count++;
+    return { ok: true, limit, remaining: limit - w.count, reset };
+  }
+
+  return { take };
+}
+
+// Express middleware. With keys == null no key is required and only the
+// per-IP limit applies; a limit of 0 turns that limit off.
+export function accessControl({ keys = null, keyLimit, ipLimit, publicPaths = [] }) {
+  const limiter = createRateLimiter();
+
+  function setHeaders(res, result) {
+    res.set("RateLimit-Limit", String(result.limit));
+    res.set("RateLimit-Remaining", String(result.remaining));
+    res.set("RateLimit-Reset", String(result.reset));
+  }
+
+  function reject(res, result, scope) {
+    setHeaders(res, result);
+    res.set("Retry-After", String(result.reset));
+    res.status(429).json({ error: `Rate limit exceeded (${result.limit} requests/minute per ${scope})` });
+  }
+
+  return (req, res, next) => {
+    if (req.method === "OPTIONS" || publicPaths.includes(req.path)) return next();
+
+    // the headers describe whichever limit runs out first
+    let tightest = null;
+
+    // checked first so bad keys count against the IP too
+    if (ipLimit > 0) {
+      const r = limiter.take(`ip:${req.ip}`, ipLimit);
+      if (!r.ok) return reject(res, r, "IP");
+      tightest = r;
+    }
+
+    // EventSource can't set headers, so the key can also come as ?api_key=
+    const key = req.get("X-API-Key") || (typeof req.query.api_key === "string" ? req.query.api_key : null);
+
+    let client = null;
+    if (keys) {
+      client = key ? keys.get(key) : null;
+      if (!client) {
+        return res.status(401).json({ error: key ? "Invalid API key" : "Missing API key (X-API-Key header or ?api_key=)" });
+      }
+    }
+
+    const limit = client ? client.ratePerMinute ?? keyLimit : 0;
+    if (limit > 0) {
+      const r = limiter.take(`key:${key}`, limit);
+      if (!r.ok) return reject(res, r, "key");
+      if (!tightest || r.remaining < tightest.remaining) tightest = r;
+    }
+
+    if (tightest) setHeaders(res, tightest);
+    next();
+  };
+}
+
+// CORS_ORIGINS: "*" (or unset) for any origin, else a comma-separated list
+export function corsOrigins(value) {
+  const list = String(value || "*")
+    .split(",")
+    .map((s) => s.trim().replace(/\/$/, ""))
+    .filter(Boolean);
+  return list.includes("*") ? "*" : list;
+}
+
+// TRUST_PROXY env -> Express "trust proxy" setting. Express treats a
+// string as addresses/subnets, so "1" would mean the IP 0.0.0.1: hop
+// counts and true/false have to be passed as number/boolean.
+export function trustProxySetting(value) {
+  const s = String(value ?? "").trim();
+  if (!s) return null;
+  if (/^\d+$/.test(s)) return Number(s);
+  if (s === "true") return true;
+  if (s === "false") return false;
+  return s; // "loopback", "10.0.0.0/8, uniquelocal", ...
+}
@@ -0,0 +1,157 @@
+// Arrival archive: observed arrivals in a local SQLite file, one row per
+// trip and stop, plus the headway statistics built from it.
+//
+// Every refresh upserts the latest prediction for each upcoming stop, so
+// once a train has passed a stop its row holds the last prediction we saw
+// before it got there, which is as close to the actual time as GTFS-RT gets.
+
+// A row only counts as observed if we still saw it this close to the
+// train's arrival (otherwise the trip was dropped or the server was down)
+const OBSERVED_WINDOW_SEC = 180;
+// Gaps longer than this are a break in the data, not a headway
+const MAX_GAP_SEC = 3600;
+// Bunched: a gap shorter than this fraction of the scheduled gap, or
+// shorter than BUNCH_SECONDS when there is no schedule to compare with
+const BUNCH_RATIO = 0.25;
+const BUNCH_SECONDS = 120;
+
+const GAP_BUCKETS_MIN = [0, 2, 4, 6, 8, 10, 15, 20, 30];
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS arrivals (
+  trip_id        TEXT NOT NULL,
+  start_date     TEXT NOT NULL,
+  stop_id        TEXT NOT NULL,
+  station_id     TEXT NOT NULL,
+  route_id       TEXT,
+  line           TEXT,
+  direction      TEXT,
+  feed           TEXT,
+  observed_time  INTEGER NOT NULL,
+  scheduled_time INTEGER,
+  first_seen     INTEGER NOT NULL,
+  last_seen      INTEGER NOT NULL,
+  PRIMARY KEY (trip_id, start_date, stop_id)
+);
+CREATE INDEX IF NOT EXISTS arrivals_station ON arrivals (station_id, line, direction, observed_time);
+`;
+
+// better-sqlite3 is only needed when ARCHIVE_DB is set, so load it lazily
+export async function openArchive(file) {
+  const { default: Database } = await import("better-sqlite3");
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.exec(SCHEMA);
+
+  const upsert = db.prepare(`
+    INSERT INTO arrivals (trip_id, start_date, stop_id, station_id, route_id, line, direction, feed,
+                          observed_time, scheduled_time, first_seen, last_seen)
+    VALUES (@trip_id, @start_date, @stop_id, @station_id, @route_id, @line, @direction, @feed,
+            @observed_time, @scheduled_time, @seen, @seen)
+    ON CONFLICT (trip_id, start_date, stop_id) DO UPDATE SET
+      observed_time  = excluded.observed_time,
+      scheduled_time = COALESCE(excluded.scheduled_time, arrivals.scheduled_time),
+      last_seen      = excluded.last_seen
+  `);
+  const recordAll = db.transaction((rows) => {
+    for (const row of rows) upsert.run(row);
+  });
+
+  function record(rows) {
+    if (rows.length) recordAll(rows);
+    return rows.length;
+  }
+
+  // Observed arrivals at any of stationIds, oldest first
+  function arrivals({ stationIds, line, direction = null, from, to }) {
+    const where = [
+      `station_id IN (${stationIds.map(() => "?").join(",")})`,
+      "line = ?",
+      "observed_time BETWEEN ? AND ?",
+      `last_seen >= observed_time - ${OBSERVED_WINDOW_SEC}`,
+    ];
+    const params = [...stationIds, line, from, to];
+    if (direction) {
+      where.push("direction = ?");
+      params.push(direction);
+    }
+    return db
+      .prepare(
+        `SELECT trip_id, stop_id, route_id, direction, observed_time, scheduled_time
+         FROM arrivals WHERE ${where.join(" AND ")} ORDER BY observed_time`
+      )
+      .all(...params);
+  }
+
+  function describe() {
+    const row = db.prepare("SELECT COUNT(*) AS rows, MIN(observed_time) AS first, MAX(observed_time) AS last FROM arrivals").get();
+    return { file, rows: row.rows, first: row.first, last: row.last };
+  }
+
+  return { record, arrivals, describe, close: () => db.close() };
+}
+
+// ---- headway statistics ----
+function summarize(values) {
+  if (!values.length) return { count: 0, avg_seconds: null, median_seconds: null, p90_seconds: null, min_seconds: null, max_seconds: null, cv: null };
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const pick = (q) => sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+  const avg = sorted.reduce((a, b) => a + b, 0) / sorted.length;
+  const sd = Math.sqrt(sorted.reduce((a, b) => a + (b - avg) ** 2, 0) / sorted.length);
+
+  return {
+    count: sorted.length,
+    avg_seconds: Math.round(avg),
+    median_seconds: pick(0.5),
+    p90_seconds: pick(0.9),
+    min_seconds: sorted[0],
+    max_seconds: sorted[sorted.length - 1],
+    // headway regularity: 0 is perfectly even
+    cv: avg ? Math.round((sd / avg) * 100) / 100 : null,
+  };
+}
+
+function distribution(gaps) {
+  return GAP_BUCKETS_MIN.map((min, i) => {
+    const max = GAP_BUCKETS_MIN[i + 1] ?? null;
+    const count = gaps.filter((g) => g >= min * 60 && (max === null || g < max * 60)).length;
+    return { min_minutes: min, max_minutes: max, count };
+  });
+}
+
+// rows: one direction's observed arrivals, oldest first
+export function headwayStats(rows) {
+  const actual = [];
+  const scheduled = [];
+  const bunching = [];
+
+  for (let i = 1; i < rows.length; i++) {
+    const prev = rows[i - 1];
+    const cur = rows[i];
+    const gap = cur.observed_time - prev.observed_time;
+    if (gap > MAX_GAP_SEC) continue;
+    actual.push(gap);
+
+    const planned =
+      prev.scheduled_time && cur.scheduled_time ? Math.abs(cur.scheduled_time - prev.scheduled_time) : null;
+    if (planned) scheduled.push(planned);
+
+    if (planned ? gap < planned * BUNCH_RATIO : gap < BUNCH_SECONDS) {
+      bunching.push({
+        time: cur.observed_time,
+        gap_seconds: gap,
+        scheduled_gap_seconds: planned,
+        trips: [prev.trip_id, cur.trip_id],
+      });
+    }
+  }
+
+  return {
+    arrivals: rows.length,
+    actual: summarize(actual),
+    scheduled: summarize(scheduled),
+    gaps: distribution(actual),
+    bunching: { count: bunching.length, incidents: bunching },
+  };
+}
@@ -0,0 +1,91 @@
+// Feed registry: which GTFS-RT feeds the proxy serves, loaded from a JSON
+// config (backend/feeds.json by default, or FEEDS_CONFIG).
+//
+// Each entry:
+//   id               short name used in routes (/api/gtfsrt/:id)
+//   url              GTFS-RT endpoint
+//   agency, mode     free text agency; mode is subway | rail | bus
+//   refresh_seconds  optional, overrides CACHE_SECONDS for this feed
+//   headers          optional extra request headers
+//   api_key_env      optional env var holding an API key, sent as
+//                    api_key_header (default "x-api-key")
+//   enabled          optional, false to keep an entry around but skip it
+
+import fs from "node:fs";
+import path from "node:path";
+
+const MODES = ["subway", "rail", "bus"];
+
+function validateEntry(raw, i, seen) {
+  const where = `feeds[${i}]${raw?.id ? ` (${raw.id})` : ""}`;
+
+  if (!raw || typeof raw !== "object") throw new Error(`${where}: must be an object`);
+  if (!raw.id || typeof raw.id !== "string") throw new Error(`${where}: missing "id"`);
+  if (!/^[\w-]+$/.test(raw.id)) throw new Error(`${where}: "id" may only use letters, digits, _ and -`);
+  if (seen.has(raw.id)) throw new Error(`${where}: duplicate id`);
+  if (!raw.url || typeof raw.url !== "string") throw new Error(`${where}: missing "url"`);
+  if (raw.mode && !MODES.includes(raw.mode)) {
+    throw new Error(`${where}: "mode" must be one of ${MODES.join(", ")}`);
+  }
+  if (raw.refresh_seconds !== undefined && !(Number(raw.refresh_seconds) > 0)) {
+    throw new Error(`${where}: "refresh_seconds" must be a positive number`);
+  }
+  if (raw.headers !== undefined && (typeof raw.headers !== "object" || Array.isArray(raw.headers))) {
+    throw new Error(`${where}: "headers" must be an object`);
+  }
+}
+
+// Returns { [id]: { id, url, agency, mode, refresh_seconds, headers } }
+// for enabled feeds. Throws on a malformed config; a half-loaded
+// registry is worse than not starting.
+export function loadFeedRegistry(configPath, { env = process.env, defaultRefreshSeconds = 30 } = {}) {
+  const file = path.resolve(configPath);
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new Error(`Can't read feed config ${file}: ${err.message}`);
+  }
+
+  const list = Array.isArray(config) ? config : config.feeds;
+  if (!Array.isArray(list)) throw new Error(`${file}: expected { "feeds": [...] }`);
+
+  const feeds = {};
+  const seen = new Set();
+
+  list.forEach((raw, i) => {
+    validateEntry(raw, i, seen);
+    seen.add(raw.id);
+    if (raw.enabled === false) return;
+
+    const headers = { ...(raw.headers || {}) };
+    if (raw.api_key_env) {
+      const key = env[raw.api_key_env];
+      if (key) headers[raw.api_key_header || "x-api-key"] = key;
+      else console.warn(`Feed ${raw.id}: ${raw.api_key_env} is not set, requesting without an API key`);
+    }
+
+    feeds[raw.id] = {
+      id: raw.id,
+      url: raw.url,
+      agency: raw.agency || null,
+      mode: raw.mode || "subway",
+      refresh_seconds: Number(raw.refresh_seconds || defaultRefreshSeconds),
+      headers,
+    };
+  });
+
+  return feeds;
+}
+
+// Safe to hand to clients: no headers (they may carry keys)
+export function describeFeed(feed) {
+  return {
+    id: feed.id,
+    agency: feed.agency,
+    mode: feed.mode,
+    url: feed.url,
+    refresh_seconds: feed.refresh_seconds,
+    authenticated: Object.keys(feed.headers).length > 0,
+  };
+}
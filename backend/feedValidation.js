@@ -0,0 +1,60 @@
+// Sanity checks for a decoded GTFS-RT feed. Nothing here rejects a feed;
+// the warnings go into /health so bad upstream data is visible.
+
+// Stops this far in the past are left over, not just-departed
+const PAST_GRACE_SEC = 300;
+const MAX_EXAMPLES = 5;
+
+function parentStopId(stopId) {
+  const s = String(stopId || "");
+  return /[NS]$/.test(s) ? s.slice(0, -1) : s;
+}
+
+function entityTypes(json) {
+  const counts = { trip_update: 0, vehicle: 0, alert: 0 };
+  for (const e of json.entity || []) {
+    if (e.tripUpdate) counts.trip_update++;
+    if (e.vehicle) counts.vehicle++;
+    if (e.alert) counts.alert++;
+  }
+  return counts;
+}
+
+// knownStopIds: Set of static station ids, or null to skip that check
+// (e.g. rail feeds, whose stops aren't in stops.json)
+export function validateFeed(json, { nowSec, knownStopIds = null } = {}) {
+  const found = new Map(); // code -> { code, message, count, examples }
+  function warn(code, message, example) {
+    if (!found.has(code)) found.set(code, { code, message, count: 0, examples: [] });
+    const w = found.get(code);
+    w.count++;
+    if (example && w.examples.length < MAX_EXAMPLES && !w.examples.includes(example)) w.examples.push(example);
+  }
+
+  const headerTs = Number(json.header?.timestamp || 0);
+  if (!headerTs) warn("missing_header_timestamp", "Feed header has no timestamp");
+  else if (headerTs > nowSec + 60) warn("header_timestamp_in_future", "Feed header timestamp is in the future", String(headerTs));
+
+  for (const e of json.entity || []) {
+    const tu = e.tripUpdate;
+    if (!tu) continue;
+
+    const tripId = tu.trip?.tripId || e.id;
+    if (!tu.trip?.tripId) warn("trip_update_without_trip_id", "Trip update has no trip_id", e.id);
+
+    const stus = tu.stopTimeUpdate || [];
+    if (!stus.length) warn("trip_update_without_stop_times", "Trip update has no stop time updates", tripId);
+
+    for (const stu of stus) {
+      const t = Number(stu.arrival?.time || stu.departure?.time || 0);
+      if (t && t < nowSec - PAST_GRACE_SEC) {
+        warn("stop_time_in_past", `Predicted time more than ${PAST_GRACE_SEC}s in the past`, `${tripId}@${stu.stopId}`);
+      }
+      if (knownStopIds && stu.stopId && !knownStopIds.has(parentStopId(stu.stopId))) {
+        warn("unknown_stop_id", "Stop id not in static stops.json", stu.stopId);
+      }
+    }
+  }
+
+  return { entities: entityTypes(json), warnings: [...found.values()] };
+}
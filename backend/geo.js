@@ -0,0 +1,24 @@
+// Small geometry helpers shared by the proxy routes
+
+export function distanceMeters(aLat, aLon, bLat, bLon) {
+  const R = 6371000;
+  const toRad = (d) => (d * Math.PI) / 180;
+  const dLat = toRad(bLat - aLat);
+  const dLon = toRad(bLon - aLon);
+  const lat1 = toRad(aLat);
+  const lat2 = toRad(bLat);
+  const x =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLon / 2) ** 2;
+  return 2 * R * Math.atan2(Math.sqrt(x), Math.sqrt(1 - x));
+}
+
+// Initial bearing in degrees (0 = north) from a to b
+export function bearingDegrees(aLat, aLon, bLat, bLon) {
+  const toRad = (d) => (d * Math.PI) / 180;
+  const y = Math.sin(toRad(bLon - aLon)) * Math.cos(toRad(bLat));
+  const x =
+    Math.cos(toRad(aLat)) * Math.sin(toRad(bLat)) -
+    Math.sin(toRad(aLat)) * Math.cos(toRad(bLat)) * Math.cos(toRad(bLon - aLon));
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+}
@@ -0,0 +1,97 @@
+// Minimal Prometheus text-format registry: counters, gauges and
+// histograms with labels. Gauges can take a collect() callback for values
+// that are only worth computing at scrape time (e.g. feed ages).
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function labelString(labels) {
+  const parts = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+function fmt(n) {
+  if (n === Infinity) return "+Inf";
+  if (n === -Infinity) return "-Inf";
+  return String(n);
+}
+
+export function createMetrics() {
+  const metrics = [];
+
+  function register(type, name, help, extra = {}) {
+    const m = { type, name, help, series: new Map(), ...extra };
+    metrics.push(m);
+    return m;
+  }
+
+  function seriesFor(m, labels, init) {
+    const key = labelString(labels);
+    if (!m.series.has(key)) m.series.set(key, { labels, ...init() });
+    return m.series.get(key);
+  }
+
+  function counter(name, help) {
+    const m = register("counter", name, help);
+    return {
+      inc(labels = {}, by = 1) {
+        seriesFor(m, labels, () => ({ value: 0 })).value += by;
+      },
+    };
+  }
+
+  function gauge(name, help, collect = null) {
+    const m = register("gauge", name, help, { collect });
+    return {
+      set(labels, value) {
+        seriesFor(m, labels, () => ({ value: 0 })).value = value;
+      },
+    };
+  }
+
+  function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+    const m = register("histogram", name, help, { buckets });
+    return {
+      observe(labels, value) {
+        const s = seriesFor(m, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+        buckets.forEach((b, i) => {
+          if (value <= b) s.counts[i]++;
+        });
+        s.sum += value;
+        s.count++;
+      },
+    };
+  }
+
+  function render() {
+    const lines = [];
+    for (const m of metrics) {
+      if (m.collect) {
+        m.series.clear();
+        for (const { labels, value } of m.collect()) m.series.set(labelString(labels), { labels, value });
+      }
+
+      lines.push(`# HELP ${m.name} ${m.help}`);
+      lines.push(`# TYPE ${m.name} ${m.type}`);
+
+      for (const s of m.series.values()) {
+        if (m.type !== "histogram") {
+          lines.push(`${m.name}${labelString(s.labels)} ${fmt(s.value)}`);
+          continue;
+        }
+        m.buckets.forEach((b, i) => {
+          lines.push(`${m.name}_bucket${labelString({ ...s.labels, le: fmt(b) })} ${s.counts[i]}`);
+        });
+        lines.push(`${m.name}_bucket${labelString({ ...s.labels, le: "+Inf" })} ${s.count}`);
+        lines.push(`${m.name}_sum${labelString(s.labels)} ${s.sum}`);
+        lines.push(`${m.name}_count${labelString(s.labels)} ${s.count}`);
+      }
+    }
+    return lines.join("\n") + "\n";
+  }
+
+  return { counter, gauge, histogram, render, contentType: "text/plain; version=0.0.4; charset=utf-8" };
+}
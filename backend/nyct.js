@@ -0,0 +1,149 @@
+// NYCT GTFS-RT extensions (nyct-subway.proto).
+//
+// The stock FeedMessage decoder skips unknown fields, so the MTA's
+// extensions (field 1001 on FeedHeader, TripDescriptor and
+// StopTimeUpdate) never make it into the JSON. This walks the raw bytes
+// a second time, pulls just those fields out, and merges them onto the
+// decoded feed:
+//
+//   header.nyctFeedHeader         { nyctSubwayVersion }
+//   trip.nyctTripDescriptor       { trainId, isAssigned, direction }
+//   stopTimeUpdate.nyctStopTimeUpdate { scheduledTrack, actualTrack }
+
+const NYCT_EXT = 1001;
+const DIRECTIONS = { 1: "NORTH", 2: "EAST", 3: "SOUTH", 4: "WEST" };
+
+// ---- minimal protobuf wire reader ----
+function readVarint(buf, pos) {
+  let result = 0;
+  let shift = 0;
+  for (;;) {
+    if (pos >= buf.length) throw new Error("Truncated varint");
+    const b = buf[pos++];
+    result += (b & 0x7f) * 2 ** shift;
+    if (b < 0x80) return [result, pos];
+    shift += 7;
+  }
+}
+
+// Yields { field, wire, value } for varints and { field, wire, start, end }
+// for length-delimited fields; fixed32/64 are skipped.
+function* readFields(buf, start = 0, end = buf.length) {
+  let pos = start;
+  while (pos < end) {
+    const [tag, p] = readVarint(buf, pos);
+    pos = p;
+    const field = Math.floor(tag / 8);
+    const wire = tag & 7;
+
+    if (wire === 0) {
+      const [value, p2] = readVarint(buf, pos);
+      pos = p2;
+      yield { field, wire, value };
+    } else if (wire === 2) {
+      const [len, p2] = readVarint(buf, pos);
+      yield { field, wire, start: p2, end: p2 + len };
+      pos = p2 + len;
+    } else if (wire === 1) {
+      pos += 8;
+    } else if (wire === 5) {
+      pos += 4;
+    } else {
+      throw new Error(`Unsupported wire type ${wire}`);
+    }
+  }
+}
+
+function firstMessage(buf, start, end, field) {
+  for (const f of readFields(buf, start, end)) {
+    if (f.field === field && f.wire === 2) return f;
+  }
+  return null;
+}
+
+function str(buf, f) {
+  return buf.toString("utf8", f.start, f.end);
+}
+
+// ---- extension messages ----
+function decodeFeedHeaderExt(buf, f) {
+  const out = {};
+  for (const x of readFields(buf, f.start, f.end)) {
+    if (x.field === 1 && x.wire === 2) out.nyctSubwayVersion = str(buf, x);
+  }
+  return out;
+}
+
+function decodeTripDescriptorExt(buf, f) {
+  const out = {};
+  for (const x of readFields(buf, f.start, f.end)) {
+    if (x.field === 1 && x.wire === 2) out.trainId = str(buf, x);
+    else if (x.field === 2 && x.wire === 0) out.isAssigned = x.value !== 0;
+    else if (x.field === 3 && x.wire === 0) out.direction = DIRECTIONS[x.value] || String(x.value);
+  }
+  return out;
+}
+
+function decodeStopTimeUpdateExt(buf, f) {
+  const out = {};
+  for (const x of readFields(buf, f.start, f.end)) {
+    if (x.field === 1 && x.wire === 2) out.scheduledTrack = str(buf, x);
+    else if (x.field === 2 && x.wire === 2) out.actualTrack = str(buf, x);
+  }
+  return out;
+}
+
+function tripExt(buf, tripField) {
+  if (!tripField) return null;
+  const ext = firstMessage(buf, tripField.start, tripField.end, NYCT_EXT);
+  return ext ? decodeTripDescriptorExt(buf, ext) : null;
+}
+
+// Merge the extensions into `json` (the decoded FeedMessage, as plain
+// objects) in place. Entities line up by index with the raw bytes.
+export function applyNyctExtensions(buf, json) {
+  const entities = json.entity || [];
+  let i = 0;
+
+  for (const f of readFields(buf)) {
+    if (f.wire !== 2) continue;
+
+    if (f.field === 1) {
+      const ext = firstMessage(buf, f.start, f.end, NYCT_EXT);
+      if (ext && json.header) json.header.nyctFeedHeader = decodeFeedHeaderExt(buf, ext);
+      continue;
+    }
+    if (f.field !== 2) continue;
+
+    const entity = entities[i++];
+    if (!entity) continue;
+
+    for (const ef of readFields(buf, f.start, f.end)) {
+      if (ef.wire !== 2) continue;
+
+      // FeedEntity.trip_update = 3
+      if (ef.field === 3 && entity.tripUpdate) {
+        let s = 0;
+        for (const tf of readFields(buf, ef.start, ef.end)) {
+          if (tf.wire !== 2) continue;
+          if (tf.field === 1 && entity.tripUpdate.trip) {
+            const ext = tripExt(buf, tf);
+            if (ext) entity.tripUpdate.trip.nyctTripDescriptor = ext;
+          } else if (tf.field === 2) {
+            const stu = entity.tripUpdate.stopTimeUpdate?.[s++];
+            const ext = firstMessage(buf, tf.start, tf.end, NYCT_EXT);
+            if (stu && ext) stu.nyctStopTimeUpdate = decodeStopTimeUpdateExt(buf, ext);
+          }
+        }
+      }
+
+      // FeedEntity.vehicle = 4, VehiclePosition.trip = 1
+      if (ef.field === 4 && entity.vehicle?.trip) {
+        const ext = tripExt(buf, firstMessage(buf, ef.start, ef.end, 1));
+        if (ext) entity.vehicle.trip.nyctTripDescriptor = ext;
+      }
+    }
+  }
+
+  return json;
+}
@@ -0,0 +1,101 @@
+// Record-and-replay for GTFS-RT feeds.
+//
+// Recording writes every raw protobuf response to
+//   <dir>/<feedId>/<fetch time in ms>.pb
+// Replay serves those files in place of the live URLs, on a clock that
+// starts at the first recording (or REPLAY_START) and runs at `speed`x.
+
+import fs from "node:fs";
+import path from "node:path";
+
+export function createRecorder(dir) {
+  return {
+    dir,
+    async save(feedId, bytes, ts = Date.now()) {
+      const feedDir = path.join(dir, feedId);
+      await fs.promises.mkdir(feedDir, { recursive: true });
+      await fs.promises.writeFile(path.join(feedDir, `${ts}.pb`), bytes);
+    },
+  };
+}
+
+function listRecordings(feedDir) {
+  return fs
+    .readdirSync(feedDir)
+    .map((name) => ({ ts: Number(path.basename(name, ".pb")), file: path.join(feedDir, name) }))
+    .filter((r) => r.file.endsWith(".pb") && Number.isFinite(r.ts))
+    .sort((a, b) => a.ts - b.ts);
+}
+
+// Accepts epoch ms or anything Date.parse understands
+export function parseReplayTime(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const n = Number(value);
+  if (Number.isFinite(n)) return n;
+  const t = Date.parse(value);
+  if (!Number.isFinite(t)) throw new Error(`Invalid replay time: ${value}`);
+  return t;
+}
+
+export function createReplay(dir, { start = null, speed = 1, loop = false } = {}) {
+  if (!fs.existsSync(dir)) throw new Error(`Replay dir not found: ${dir}`);
+  if (!(speed > 0)) throw new Error(`Replay speed must be > 0 (got ${speed})`);
+
+  const index = new Map(); // feedId -> [{ ts, file }] oldest first
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (!entry.isDirectory()) continue;
+    const list = listRecordings(path.join(dir, entry.name));
+    if (list.length) index.set(entry.name, list);
+  }
+
+  const all = [...index.values()].flat();
+  if (!all.length) throw new Error(`No recordings in ${dir}`);
+
+  const first = Math.min(...all.map((r) => r.ts));
+  const last = Math.max(...all.map((r) => r.ts));
+  const startAt = start ?? first;
+  const startedAt = Date.now();
+
+  function now() {
+    const t = startAt + (Date.now() - startedAt) * speed;
+    if (loop && t > last && last > startAt) return startAt + ((t - startAt) % (last - startAt));
+    return t;
+  }
+
+  // newest recording at or before the replay clock
+  function pick(list, t) {
+    let lo = 0;
+    let hi = list.length - 1;
+    let best = 0;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (list[mid].ts <= t) {
+        best = mid;
+        lo = mid + 1;
+      } else {
+        hi = mid - 1;
+      }
+    }
+    return list[best];
+  }
+
+  async function read(feedId) {
+    const list = index.get(feedId);
+    if (!list) throw new Error(`No recordings for feed ${feedId} in ${dir}`);
+    const rec = pick(list, now());
+    return { ts: rec.ts, bytes: await fs.promises.readFile(rec.file) };
+  }
+
+  function describe() {
+    return {
+      dir,
+      speed,
+      loop,
+      clock: new Date(now()).toISOString(),
+      range: { from: new Date(first).toISOString(), to: new Date(last).toISOString() },
+      feeds: Object.fromEntries([...index].map(([id, list]) => [id, list.length])),
+    };
+  }
+
+  return { now, read, describe, speed };
+}
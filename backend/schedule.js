@@ -0,0 +1,134 @@
+// Static schedule lookups for realtime trips, backed by
+// src/data/trip_schedules.json (`npm run build-gtfs -- schedules`).
+
+export const AGENCY_TZ = process.env.AGENCY_TZ || "America/New_York";
+
+// ---- service-day time helpers ----
+function tzParts(epochMs, tz) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: tz,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(new Date(epochMs));
+  return Object.fromEntries(parts.filter((p) => p.type !== "literal").map((p) => [p.type, Number(p.value)]));
+}
+
+// "YYYYMMDD" for the local calendar date at epochSec
+export function serviceDateFor(epochSec, tz = AGENCY_TZ) {
+  const p = tzParts(epochSec * 1000, tz);
+  return `${p.year}${String(p.month).padStart(2, "0")}${String(p.day).padStart(2, "0")}`;
+}
+
+// GTFS times count from "noon minus 12h" on the service date, which is
+// midnight except on DST change days.
+export function serviceDayStart(yyyymmdd, tz = AGENCY_TZ) {
+  const y = Number(yyyymmdd.slice(0, 4));
+  const m = Number(yyyymmdd.slice(4, 6));
+  const d = Number(yyyymmdd.slice(6, 8));
+
+  const noonUtc = Date.UTC(y, m - 1, d, 12);
+  const p = tzParts(noonUtc, tz);
+  const offsetMs = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - noonUtc;
+
+  return Math.round((noonUtc - offsetMs) / 1000) - 12 * 3600;
+}
+
+// Monday = 0 ... Sunday = 6, matching calendar.txt column order
+export function weekdayIndex(yyyymmdd) {
+  const day = new Date(
+    Date.UTC(Number(yyyymmdd.slice(0, 4)), Number(yyyymmdd.slice(4, 6)) - 1, Number(yyyymmdd.slice(6, 8)))
+  ).getUTCDay();
+  return (day + 6) % 7;
+}
+
+// dates: calendar_dates exceptions by day ({ [YYYYMMDD]: { add, remove } }),
+// which win over the weekly pattern (holidays, special schedules)
+export function serviceRunsOn(serviceId, yyyymmdd, services, dates = {}) {
+  const exception = dates[yyyymmdd];
+  if (exception?.add?.includes(serviceId)) return true;
+  if (exception?.remove?.includes(serviceId)) return false;
+
+  const service = services[serviceId];
+  if (!service) return false;
+  if (service.start && yyyymmdd < service.start) return false;
+  if (service.end && yyyymmdd > service.end) return false;
+  return service.days?.[weekdayIndex(yyyymmdd)] === 1;
+}
+
+// NYCT realtime trip ids often drop the path suffix the static ids keep:
+// "097550_A..N" in GTFS-RT vs "097550_A..N58R" in trips.txt
+function shortKey(tripId) {
+  const m = /^(\d{6}_[^.]+\.+[NS])/.exec(tripId);
+  return m ? m[1] : null;
+}
+
+export function createScheduleIndex(data) {
+  const services = data?.services || {};
+  const dates = data?.dates || {};
+  const trips = data?.trips || {};
+
+  const byShortKey = new Map();
+  for (const [key, variants] of Object.entries(trips)) {
+    const sk = shortKey(key);
+    if (!sk || sk === key) continue;
+    if (!byShortKey.has(sk)) byShortKey.set(sk, []);
+    byShortKey.get(sk).push(...variants);
+  }
+
+  // Scheduled trip for a realtime trip: prefer one whose service runs on
+  // startDate, then the one sharing the most stops with the realtime update.
+  function lookup(tripId, { startDate = null, stopIds = [] } = {}) {
+    const variants = trips[tripId] || byShortKey.get(shortKey(tripId) || tripId) || [];
+    if (!variants.length) return null;
+
+    const wanted = new Set(stopIds);
+    let best = null;
+    let bestScore = -1;
+
+    for (const v of variants) {
+      const runs = startDate && serviceRunsOn(v.service_id, startDate, services, dates) ? 1 : 0;
+      const overlap = wanted.size ? v.stops.filter(([id]) => wanted.has(id)).length / wanted.size : 0;
+      const score = runs * 2 + overlap;
+      if (score > bestScore) {
+        best = v;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  // { arrival, departure } in seconds after service-day start, or null
+  function stopTime(variant, stopId) {
+    const row = variant?.stops.find(([id]) => id === stopId);
+    return row ? { arrival: row[1], departure: row[2] } : null;
+  }
+
+  // How many scheduled trips per route_id are between their first and
+  // last stop at nowSec. Yesterday's service day counts too, for trips
+  // past midnight (times over 24:00:00).
+  function activeTripCounts(nowSec) {
+    const counts = {};
+    const today = serviceDateFor(nowSec);
+    const yesterday = serviceDateFor(nowSec - 86400);
+
+    for (const date of [today, yesterday]) {
+      const t = nowSec - serviceDayStart(date);
+      for (const variants of Object.values(trips)) {
+        for (const v of variants) {
+          if (!v.stops.length || !serviceRunsOn(v.service_id, date, services, dates)) continue;
+          const first = v.stops[0][2] ?? v.stops[0][1];
+          const last = v.stops[v.stops.length - 1][1] ?? v.stops[v.stops.length - 1][2];
+          if (first <= t && t <= last) counts[v.route_id] = (counts[v.route_id] || 0) + 1;
+        }
+      }
+    }
+    return counts;
+  }
+
+  return { lookup, stopTime, activeTripCounts, size: Object.keys(trips).length };
+}
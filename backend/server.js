@@ -1,93 +1,562 @@
 import "dotenv/config";
+import fs from "node:fs";
+import crypto from "node:crypto";
+import { EventEmitter } from "node:events";
+import { fileURLToPath } from "node:url";
 import express from "express";
 import cors from "cors";
+import compression from "compression";
 import fetch from "node-fetch";
 import GtfsRealtimeBindings from "gtfs-realtime-bindings";
+import { createShapeIndex, locateVehicle } from "./vehicles.js";
+import { loadFeedRegistry, describeFeed } from "./feedRegistry.js";
+import { createRecorder, createReplay, parseReplayTime } from "./replay.js";
+import { applyNyctExtensions } from "./nyct.js";
+import { createSpatialIndex } from "./spatialIndex.js";
+import { createScheduleIndex, serviceDateFor, serviceDayStart } from "./schedule.js";
+import { openArchive, headwayStats } from "./archive.js";
+import { loadApiKeys, accessControl, corsOrigins, trustProxySetting } from "./access.js";
+import { createMetrics } from "./metrics.js";
+import { validateFeed } from "./feedValidation.js";
+
+// Access control: CORS_ORIGINS allowlist, optional API keys from
+// API_KEYS_FILE, and per-key / per-IP requests per minute (0 = no limit)
+const CORS_ORIGINS = corsOrigins(process.env.CORS_ORIGINS);
+const API_KEYS_FILE = process.env.API_KEYS_FILE || null;
+const RATE_LIMIT_PER_MINUTE = Number(process.env.RATE_LIMIT_PER_MINUTE || 120);
+// Off unless set: behind a proxy without TRUST_PROXY every client has the
+// proxy's IP and would share one limit
+const IP_RATE_LIMIT_PER_MINUTE = Number(process.env.IP_RATE_LIMIT_PER_MINUTE || 0);
+const TRUST_PROXY = trustProxySetting(process.env.TRUST_PROXY);
+if (IP_RATE_LIMIT_PER_MINUTE > 0 && TRUST_PROXY === null) {
+  console.warn("IP_RATE_LIMIT_PER_MINUTE is set without TRUST_PROXY; behind a reverse proxy all clients share one limit");
+}
+
+// Prometheus metrics (/metrics); feed gauges are filled in at scrape time
+// further down, once the cache exists
+const metrics = createMetrics();
+const httpRequests = metrics.counter("http_requests_total", "HTTP requests by route and status");
+const httpDuration = metrics.histogram("http_request_duration_seconds", "HTTP request latency by route");
+const feedFetches = metrics.counter("mta_feed_fetches_total", "Upstream feed fetches");
+const feedFetchFailures = metrics.counter("mta_feed_fetch_failures_total", "Failed feed fetches by HTTP status (or \"error\")");
+const feedFetchDuration = metrics.histogram("mta_feed_fetch_duration_seconds", "Feed fetch and decode latency");
+const feedCacheRequests = metrics.counter("mta_feed_cache_requests_total", "Cache lookups by result (hit, stale, miss)");
 
 const app = express();
-app.use(cors());
+// counted before access control so 401s and 429s show up too
+app.use((req, res, next) => {
+  const start = process.hrtime.bigint();
+  res.on("close", () => {
+    // route pattern, not the URL, to keep label cardinality bounded
+    const route = req.route ? req.baseUrl + req.route.path : "none";
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpDuration.observe({ method: req.method, route }, Number(process.hrtime.bigint() - start) / 1e9);
+  });
+  next();
+});
+// behind a reverse proxy, req.ip should be the client and not the proxy
+if (TRUST_PROXY !== null) app.set("trust proxy", TRUST_PROXY);
+app.use(cors({ origin: CORS_ORIGINS }));
+app.use(
+  accessControl({
+    keys: API_KEYS_FILE ? loadApiKeys(API_KEYS_FILE) : null,
+    keyLimit: RATE_LIMIT_PER_MINUTE,
+    ipLimit: IP_RATE_LIMIT_PER_MINUTE,
+    publicPaths: ["/health"],
+  })
+);
+// gzip/brotli everything except event streams, which must flush per event
+app.use(
+  compression({
+    filter: (req, res) =>
+      !String(res.getHeader("Content-Type") || "").includes("text/event-stream") &&
+      compression.filter(req, res),
+  })
+);
 
 const PORT = Number(process.env.PORT || 3000);
-//const API_KEY = process.env.MTA_API_KEY;
 const CACHE_SECONDS = Number(process.env.CACHE_SECONDS || 30);
+// Past CACHE_SECONDS (or a feed's refresh_seconds) a copy is served stale while it refreshes in the background.
+// Past MAX_STALE_SECONDS callers wait for the refresh (and only get the old copy if it fails).
+const MAX_STALE_SECONDS = Number(process.env.MAX_STALE_SECONDS || 300);
+// /health calls a feed stale when its header timestamp was already this old when we fetched it
+const FEED_STALE_SECONDS = Number(process.env.FEED_STALE_SECONDS || 120);
+const BACKOFF_BASE_MS = 2000;
+const BACKOFF_MAX_MS = 120000;
 
-const FEEDS = {
-jz: "https://api-endpoint.mta.info/Dataservice/mtagtfsfeeds/nyct%2Fgtfs-jz",
-ace: "https://api-endpoint.mta.info/Dataservice/mtagtfsfeeds/nyct%2Fgtfs-ace",
-nqrw: "https://api-endpoint.mta.info/Dataservice/mtagtfsfeeds/nyct%2Fgtfs-nqrw",
-bdfm: "https://api-endpoint.mta.info/Dataservice/mtagtfsfeeds/nyct%2Fgtfs-bdfm",
-g: "https://api-endpoint.mta.info/Dataservice/mtagtfsfeeds/nyct%2Fgtfs-g",
-l: "https://api-endpoint.mta.info/Dataservice/mtagtfsfeeds/nyct%2Fgtfs-l",
-sir: "https://api-endpoint.mta.info/Dataservice/mtagtfsfeeds/nyct%2Fgtfs-si",
+// Feed registry (backend/feeds.json unless FEEDS_CONFIG says otherwise)
+// { feedId: { id, url, agency, mode, refresh_seconds, headers } }
 // "gtfs" is the 1-6/S/7 feed in MTA naming
-gtfs: "https://api-endpoint.mta.info/Dataservice/mtagtfsfeeds/nyct%2Fgtfs",
+const FEEDS_CONFIG = process.env.FEEDS_CONFIG || fileURLToPath(new URL("./feeds.json", import.meta.url));
+const FEEDS = loadFeedRegistry(FEEDS_CONFIG, { defaultRefreshSeconds: CACHE_SECONDS });
+
+// Record raw responses to RECORD_DIR, or serve them back from REPLAY_DIR
+// instead of hitting the feed URLs (see replay.js)
+const REPLAY_DIR = process.env.REPLAY_DIR || null;
+const RECORD_DIR = REPLAY_DIR ? null : process.env.RECORD_DIR || null;
+if (REPLAY_DIR && process.env.RECORD_DIR) console.warn("REPLAY_DIR is set, ignoring RECORD_DIR");
+
+const recorder = RECORD_DIR ? createRecorder(RECORD_DIR) : null;
+const replay = REPLAY_DIR
+  ? createReplay(REPLAY_DIR, {
+    start: parseReplayTime(process.env.REPLAY_START),
+    speed: Number(process.env.REPLAY_SPEED || 1),
+    loop: process.env.REPLAY_LOOP === "1",
+  })
+  : null;
+
+// Optional SQLite archive of observed arrivals (see archive.js)
+const ARCHIVE_DB = process.env.ARCHIVE_DB || null;
+const archive = ARCHIVE_DB ? await openArchive(ARCHIVE_DB) : null;
+
+// Clock for predictions (seconds_until, active alerts, ...). In replay
+// mode this is the recording's clock, not the wall clock.
+function nowSeconds() {
+  return Math.floor((replay ? replay.now() : Date.now()) / 1000);
+}
+
+// Which subway feed(s) carry each line. "S" is ambiguous in static data:
+// the 42 St shuttle (GS) is in "gtfs", Franklin Av (FS) and Rockaway (H) in "ace"
+// (see feedsForLineAtStation).
+const LINE_TO_FEEDS = {
+"1": ["gtfs"], "2": ["gtfs"], "3": ["gtfs"], "4": ["gtfs"], "5": ["gtfs"],
+"6": ["gtfs"], "6X": ["gtfs"], "7": ["gtfs"], "7X": ["gtfs"],
+A: ["ace"], C: ["ace"], E: ["ace"],
+B: ["bdfm"], D: ["bdfm"], F: ["bdfm"], FX: ["bdfm"], M: ["bdfm"],
+N: ["nqrw"], Q: ["nqrw"], R: ["nqrw"], W: ["nqrw"],
+G: ["g"],
+J: ["jz"], Z: ["jz"],
+L: ["l"],
+SIR: ["sir"],
 };
 
-//if (!API_KEY){ console.warn("Missing MTA_API_KEY in .env");}
+// Realtime route_ids that static data signs differently
+const ROUTE_ID_TO_LINE = { GS: "S", FS: "S", H: "S", SI: "SIR" };
+
+function lineForRouteId(routeId) {
+  const r = String(routeId || "").toUpperCase();
+  return ROUTE_ID_TO_LINE[r] || r;
+}
+
+// Static data generated by scripts/ (see scripts/README.md)
+function loadStaticJSON(name) {
+  const file = new URL(`../src/data/${name}`, import.meta.url);
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+// Larger outputs aren't committed; endpoints that need them degrade without
+function loadOptionalStaticJSON(name) {
+  try {
+    return loadStaticJSON(name);
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+    console.warn(`src/data/${name} not found; run npm run build-gtfs to generate it`);
+    return null;
+  }
+}
+
+const STOPS = loadStaticJSON("stops.json");
+const STATION_TO_LINES = loadStaticJSON("station_to_lines.json");
+const STATION_COMPLEXES = loadStaticJSON("station_complexes.json");
+const STOPS_BY_ID = new Map(STOPS.map((s) => [s.id, s]));
+const ROUTES = loadStaticJSON("routes.json");
+const STOPS_INDEX = createSpatialIndex(STOPS);
+const SCHEDULES = createScheduleIndex(loadOptionalStaticJSON("trip_schedules.json"));
 
-// In memory cache: { feedName: { ts, json } }
+// In memory cache: { feedName: { ts, json, buf } }
 const cache = new Map();
 
-async function fetchAndParseGTFSRT(url) {
-  const res = await fetch(url) //in the original code it added fetch(url, {headers: { "x-api-key": API_KEY } but since im not using a api key im thinking i could leave it out
+// emits "refresh" (feedName) whenever a feed is re-fetched into the cache
+const feedEvents = new EventEmitter();
+feedEvents.setMaxListeners(0); // one listener per open stream
+
+async function fetchFeedBytes(source) {
+  if (replay) return (await replay.read(source.id)).bytes;
+
+  // API keys, if a feed needs one, come in through source.headers (see feedRegistry.js)
+  const res = await fetch(source.url, { headers: source.headers });
 
 
   if (!res.ok) {
     const text = await res.text().catch(() => "");
-    throw new Error(`MTA fetch fail ${res.status} ${res.statusText} ${text}`);
+    const err = new Error(`MTA fetch fail ${res.status} ${res.statusText} ${text}`);
+    err.status = res.status;
+    throw err;
   }
 
 
   const buf = Buffer.from(await res.arrayBuffer());
+  if (recorder) {
+    recorder.save(source.id, buf).catch((err) => console.warn(`Recording ${source.id} failed:`, err.message));
+  }
+  return buf;
+}
+
+async function fetchAndParseGTFSRT(source) {
+  const buf = await fetchFeedBytes(source);
   const feed = GtfsRealtimeBindings.transit_realtime.FeedMessage.decode(buf);
 
 
   // Convert to plain JSON-ish structure
  // (protobuf objects include Long; we'll stringify those safely)
- return JSON.parse(
+ const json = JSON.parse(
 
    JSON.stringify(feed, (_, v) => (typeof v === "bigint" ? v.toString() : v))
  );
+
+  // train ids, assignment and tracks live in NYCT extensions the stock decoder drops
+  // raw bytes are kept for ?format=protobuf
+  return { buf, json: applyNyctExtensions(buf, json) };
 }
 
 
-async function getCached(feedName) {
+// Per-feed fetch state: { inflight, failures, retryAt, lastError } plus,
+// for /health, { lastSuccess, lastFailure: { message, at }, headerLag, validation }
+const feedState = new Map();
+
+function getFeedState(feedName) {
+  if (!feedState.has(feedName)) {
+    feedState.set(feedName, {
+      inflight: null,
+      failures: 0,
+      retryAt: 0,
+      lastError: null,
+      lastSuccess: 0,
+      lastFailure: null,
+      headerLag: null,
+      validation: null,
+    });
+  }
+  return feedState.get(feedName);
+}
+
+// Fetch a feed into the cache. Concurrent callers share one upstream
+// request, and after a failure we back off exponentially instead of
+// hammering the MTA on every request.
+function refreshFeed(feedName) {
+  const feed = FEEDS[feedName];
+  if (!feed) return Promise.reject(new Error(`Unknown feed: ${feedName}`));
+
+  const state = getFeedState(feedName);
+  if (state.inflight) return state.inflight;
+
+  if (Date.now() < state.retryAt) {
+    const wait = Math.ceil((state.retryAt - Date.now()) / 1000);
+    return Promise.reject(new Error(`${state.lastError?.message || "Upstream failing"} (retrying in ${wait}s)`));
+  }
+
+  const started = Date.now();
+  feedFetches.inc({ feed: feedName });
+
+  state.inflight = fetchAndParseGTFSRT(feed)
+    .then(({ buf, json }) => {
+      feedFetchDuration.observe({ feed: feedName }, (Date.now() - started) / 1000);
+      cache.set(feedName, { ts: Date.now(), json, buf });
+      state.failures = 0;
+      state.retryAt = 0;
+      state.lastError = null;
+      state.lastSuccess = Date.now();
+
+      const nowSec = nowSeconds();
+      const headerTs = Number(json.header?.timestamp || 0);
+      state.headerLag = headerTs ? nowSec - headerTs : null;
+      // stops.json only covers the subway
+      state.validation = validateFeed(json, { nowSec, knownStopIds: feed.mode === "subway" ? STOPS_BY_ID : null });
+
+      feedEvents.emit("refresh", feedName);
+      return json;
+    })
+    .catch((err) => {
+      feedFetchDuration.observe({ feed: feedName }, (Date.now() - started) / 1000);
+      feedFetchFailures.inc({ feed: feedName, status: String(err.status || "error") });
+      state.failures++;
+      state.retryAt = Date.now() + Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** (state.failures - 1));
+      state.lastError = err;
+      state.lastFailure = { message: String(err.message || err), at: Date.now() };
+      throw err;
+    })
+    .finally(() => {
+      state.inflight = null;
+    });
+
+  return state.inflight;
+}
+
+function describeEntry(entry, stale) {
+  return {
+    json: entry.json,
+    buf: entry.buf,
+    ts: entry.ts,
+    stale,
+    age_seconds: Math.round((Date.now() - entry.ts) / 1000),
+  };
+}
+
+// A feed's refresh_seconds in wall-clock seconds. Cache ages are wall-clock
+// time, but a replay at REPLAY_SPEED=10 moves through the recordings ten
+// times faster, so its snapshots go out of date ten times sooner.
+function refreshSeconds(feedName) {
+  const seconds = FEEDS[feedName]?.refresh_seconds ?? CACHE_SECONDS;
+  return replay ? seconds / replay.speed : seconds;
+}
+
+// Stale-while-revalidate: returns { json, buf, ts, stale, age_seconds }
+async function getCachedEntry(feedName) {
+  if (!FEEDS[feedName]) throw new Error(`Unknown feed: ${feedName}`);
 
   const entry = cache.get(feedName);
+  const age = entry ? Date.now() - entry.ts : Infinity;
+
+  if (age < refreshSeconds(feedName) * 1000) {
+    feedCacheRequests.inc({ feed: feedName, result: "hit" });
+    return describeEntry(entry, false);
+  }
+
+  if (age < MAX_STALE_SECONDS * 1000) {
+    feedCacheRequests.inc({ feed: feedName, result: "stale" });
+    refreshFeed(feedName).catch(() => {}); // failure is recorded in feedState
+    return describeEntry(entry, true);
+  }
+
+  feedCacheRequests.inc({ feed: feedName, result: "miss" });
+  try {
+    await refreshFeed(feedName);
+    return describeEntry(cache.get(feedName), false);
+  } catch (err) {
+    // an old copy beats a 500; it's flagged stale with its age
+    if (entry) return describeEntry(entry, true);
+    throw err;
+  }
+}
+
+// Fetch several feeds in parallel through the cache. One dead feed
+// shouldn't hide the others, so failures come back in `errors` and
+// stale copies are listed in `stale`.
+async function getCachedMany(feedNames) {
+  const results = await Promise.allSettled(feedNames.map((f) => getCachedEntry(f)));
+
+  const feeds = {};
+  const fetchedAt = {};
+  const stale = {}; // feedName -> age_seconds, only for stale copies
+  const errors = {};
+
+  results.forEach((r, i) => {
+    const feed = feedNames[i];
+    if (r.status === "rejected") {
+      errors[feed] = String(r.reason?.message || r.reason);
+      return;
+    }
+    feeds[feed] = r.value.json;
+    fetchedAt[feed] = new Date(r.value.ts).toISOString();
+    if (r.value.stale) stale[feed] = r.value.age_seconds;
+  });
+
+  return { feeds, fetchedAt, stale, errors };
+}
+
+// Configured feeds and how each one is doing
+app.get("/api/feeds", (req, res) => {
+
   const now = Date.now();
+  const feeds = Object.values(FEEDS).map((feed) => {
+    const entry = cache.get(feed.id);
+    const state = getFeedState(feed.id);
+    const ageSec = entry ? Math.round((now - entry.ts) / 1000) : null;
+
+    return {
+      ...describeFeed(feed),
+      status: {
+        fetched_at: entry ? new Date(entry.ts).toISOString() : null,
+        age_seconds: ageSec,
+        stale: ageSec !== null && ageSec >= refreshSeconds(feed.id),
+        fetching: Boolean(state.inflight),
+        consecutive_failures: state.failures,
+        last_error: state.lastError ? String(state.lastError.message || state.lastError) : null,
+        retry_at: state.retryAt > now ? new Date(state.retryAt).toISOString() : null,
+      },
+    };
+  });
+
+  res.json({ count: feeds.length, feeds });
+});
+
+// Replay status: which recordings are loaded and where the clock is
+app.get("/api/replay", (req, res) => {
+
+  if (!replay) return res.json({ replay: false, recording: Boolean(recorder) });
+  res.json({ replay: true, ...replay.describe() });
+});
+
+// ---------- Metrics ----------
+metrics.gauge("mta_feed_entities", "Entities in the last fetched copy of each feed, by type", () =>
+  [...feedState].flatMap(([feed, state]) =>
+    Object.entries(state.validation?.entities || {}).map(([type, value]) => ({ labels: { feed, type }, value }))
+  )
+);
 
+// A header timestamp that keeps growing older while fetches succeed is a
+// feed that has stopped updating upstream
+metrics.gauge("mta_feed_header_age_seconds", "Seconds since the cached feed's header timestamp", () =>
+  [...cache]
+    .filter(([, entry]) => Number(entry.json.header?.timestamp))
+    .map(([feed, entry]) => ({ labels: { feed }, value: nowSeconds() - Number(entry.json.header.timestamp) }))
+);
 
-  if (entry && now - entry.ts < CACHE_SECONDS * 1000) return entry.json;
+metrics.gauge("mta_feed_cache_age_seconds", "Seconds since each feed was last fetched", () =>
+  [...cache].map(([feed, entry]) => ({ labels: { feed }, value: Math.round((Date.now() - entry.ts) / 1000) }))
+);
 
+app.get("/metrics", (req, res) => {
 
-  const url = FEEDS[feedName];
-  if (!url) throw new Error(`Unknown feed: ${feedName}`);
+  res.type(metrics.contentType).send(metrics.render());
+});
+
+// ---------- Health ----------
+function isoOrNull(ms) {
+  return ms ? new Date(ms).toISOString() : null;
+}
+
+// ok, stale (upstream stopped updating), failing (serving an older copy),
+// down (nothing usable), or idle (nobody has asked for it yet)
+function feedHealth(feed) {
+  const state = getFeedState(feed.id);
+  const entry = cache.get(feed.id);
+  const ageSec = entry ? Math.round((Date.now() - entry.ts) / 1000) : null;
+  const headerTs = Number(entry?.json.header?.timestamp || 0);
 
+  let status = "ok";
+  if (state.failures > 0) status = entry && ageSec < MAX_STALE_SECONDS ? "failing" : "down";
+  else if (!entry) status = "idle";
+  else if (state.headerLag !== null && state.headerLag > FEED_STALE_SECONDS) status = "stale";
 
-  const json = await fetchAndParseGTFSRT(url);
-  cache.set(feedName, { ts: now, json });
-  return json;
+  return {
+    id: feed.id,
+    status,
+    last_success: isoOrNull(state.lastSuccess),
+    last_error: state.lastFailure ? { message: state.lastFailure.message, at: isoOrNull(state.lastFailure.at) } : null,
+    consecutive_failures: state.failures,
+    cache_age_seconds: ageSec,
+    header_timestamp: headerTs ? new Date(headerTs * 1000).toISOString() : null,
+    header_age_seconds: headerTs ? nowSeconds() - headerTs : null,
+    entities: state.validation?.entities || null,
+    warnings: state.validation?.warnings || [],
+  };
 }
 
+// Public even when API keys are on. 503 only when every feed that has
+// been tried is down.
 app.get("/health", (req, res) => {
 
-  res.json({ ok: true, time: new Date().toISOString() });
+  const feeds = Object.values(FEEDS).map(feedHealth);
+  const tried = feeds.filter((f) => f.status !== "idle");
+
+  let status = "ok";
+  if (tried.length && tried.every((f) => f.status === "down")) status = "down";
+  else if (tried.some((f) => f.status !== "ok")) status = "degraded";
+
+  res.status(status === "down" ? 503 : 200).json({
+    ok: status !== "down",
+    status,
+    time: new Date().toISOString(),
+
+    feeds,
+  });
 });
 
+// ---------- Feed projection ----------
+function splitList(v) {
+  return String(v || "")
+    .split(",")
+    .map((x) => x.trim())
+    .filter(Boolean);
+}
+
+function entityRoutes(e) {
+  const out = [];
+  if (e.tripUpdate?.trip?.routeId) out.push(e.tripUpdate.trip.routeId);
+  if (e.vehicle?.trip?.routeId) out.push(e.vehicle.trip.routeId);
+  for (const ie of e.alert?.informedEntity || []) if (ie.routeId) out.push(ie.routeId);
+  return out.map((r) => r.toUpperCase());
+}
+
+// Trim a decoded feed server-side.
+//   routes: keep entities touching any of these route ids
+//   fields: keep only these entity members (tripUpdate, vehicle, alert);
+//           entities with none of them are dropped. `id` always stays.
+function projectFeed(json, { routes = [], fields = [] } = {}) {
+  if (!routes.length && !fields.length) return json;
+
+  const wantRoutes = new Set(routes.map((r) => r.toUpperCase()));
+  const entity = [];
+
+  for (const e of json.entity || []) {
+    if (wantRoutes.size && !entityRoutes(e).some((r) => wantRoutes.has(r))) continue;
+
+    if (fields.length) {
+      const kept = { id: e.id };
+      for (const f of fields) if (e[f] !== undefined) kept[f] = e[f];
+      if (Object.keys(kept).length === 1) continue;
+      entity.push(kept);
+    } else {
+      entity.push(e);
+    }
+  }
+
+  return { ...json, entity };
+}
+
+const ENTITY_FIELDS = ["tripUpdate", "vehicle", "alert", "isDeleted"];
+
 // Raw GTFS-RT feed as JSON (cached)
+// ?route=A,C       only entities for these routes
+// ?fields=vehicle  only these entity members
+// ?format=protobuf raw GTFS-RT bytes instead of JSON
+// Supports If-None-Match; the ETag changes when the cache entry does.
 app.get("/api/gtfsrt/:feed", async (req, res) => {
   try {
 
     const feed = req.params.feed;
+    const routes = splitList(req.query.route);
+    const fields = splitList(req.query.fields);
+    const format = String(req.query.format || "json").toLowerCase();
+
+    const badField = fields.find((f) => !ENTITY_FIELDS.includes(f));
+    if (badField) {
+      return res.status(400).json({ error: `Unknown field "${badField}" (use ${ENTITY_FIELDS.join(", ")})` });
+    }
+    if (format !== "json" && format !== "protobuf") {
+      return res.status(400).json({ error: "format must be json or protobuf" });
+    }
+
+    const entry = await getCachedEntry(feed);
 
-    const json = await getCached(feed);
+    // same cache entry + same projection => same body
+    const variant = [format, routes.join(","), fields.join(",")].join("|");
+    res.set({
+      ETag: `"${feed}-${entry.ts}-${Buffer.from(variant).toString("base64url")}"`,
+      "Last-Modified": new Date(entry.ts).toUTCString(),
+      "Cache-Control": `public, max-age=${Math.max(0, Math.floor(refreshSeconds(feed) - entry.age_seconds))}`,
+    });
+    if (req.fresh) return res.status(304).end();
+
+    const data = projectFeed(entry.json, { routes, fields });
+
+    if (format === "protobuf") {
+      const { FeedMessage } = GtfsRealtimeBindings.transit_realtime;
+      // untouched feeds go out byte-for-byte (NYCT extensions included);
+      // projected ones are re-encoded with the stock schema
+      const body = data === entry.json ? entry.buf : Buffer.from(FeedMessage.encode(FeedMessage.fromObject(data)).finish());
+      return res.type("application/x-protobuf").send(body);
+    }
 
     res.json({
 
       feed,
-      cached_seconds: CACHE_SECONDS,
-      fetched_at: new Date(cache.get(feed).ts).toISOString(),
-      data: json,
+      cached_seconds: FEEDS[feed].refresh_seconds,
+      fetched_at: new Date(entry.ts).toISOString(),
+      stale: entry.stale,
+      age_seconds: entry.age_seconds,
+      data,
     });
   } catch (err) {
 
@@ -98,14 +567,16 @@ app.get("/api/gtfsrt/:feed", async (req, res) => {
 
 // OPTIONAL: a "simple arrivals" endpoint you can build toward later
 // For now it returns tripUpdates only (where arrival/departure live)
+// NYCT extensions ride along as trip.nyctTripDescriptor and
+// stopTimeUpdate[].nyctStopTimeUpdate (see nyct.js)
 
 app.get("/api/trip-updates/:feed", async (req, res) => {
 
   try {
 
     const feed = req.params.feed;
-    const json = await getCached(feed);
-    const entities = json.entity || [];
+    const entry = await getCachedEntry(feed);
+    const entities = entry.json.entity || [];
     const tripUpdates = entities
       .filter((e) => e.tripUpdate)
       .map((e) => e.tripUpdate);
@@ -115,7 +586,9 @@ app.get("/api/trip-updates/:feed", async (req, res) => {
 
       count: tripUpdates.length,
 
-      fetched_at: new Date(cache.get(feed).ts).toISOString(),
+      fetched_at: new Date(entry.ts).toISOString(),
+      stale: entry.stale,
+      age_seconds: entry.age_seconds,
       tripUpdates,
     });
   } catch (err) {
@@ -124,46 +597,1254 @@ app.get("/api/trip-updates/:feed", async (req, res) => {
 
   }
 });
- // i left here for tmm 1/18/2026 this is the end point for arrivals not finished
+// ---------- Arrivals helpers ----------
+// Realtime stop ids carry a direction suffix ("A27N", "A27S"); parent
+// stations in stops.json don't ("A27"). Accept either when filtering.
+function directionOf(stopId) {
+  const last = String(stopId || "").slice(-1);
+  return last === "N" || last === "S" ? last : null;
+}
 
+function parentStopId(stopId) {
+  return directionOf(stopId) ? String(stopId).slice(0, -1) : stopId;
+}
+
+function stopMatches(stopId, wanted) {
+  if (!stopId || !wanted) return false;
+  return stopId === wanted || parentStopId(stopId) === wanted;
+}
+
+// Walk every tripUpdate.stopTimeUpdate in a feed and return the upcoming
+// arrivals at `stop`, soonest first.
+function collectArrivals(json, { stop, direction, route } = {}, nowSec = nowSeconds()) {
+  const out = [];
+
+  for (const e of json.entity || []) {
+    const tu = e.tripUpdate;
+    if (!tu) continue;
+
+    const trip = tu.trip || {};
+    const nyctTrip = trip.nyctTripDescriptor || {};
+    const routeId = trip.routeId || "";
+    if (route && routeId.toUpperCase() !== route) continue;
+
+    // last stop in the update is where the train is headed
+    const stus = tu.stopTimeUpdate || [];
+    const lastStopId = stus.length ? stus[stus.length - 1].stopId : null;
+    const destination = STOPS_BY_ID.get(parentStopId(lastStopId))?.name || null;
+
+    for (const stu of stus) {
+      if (!stopMatches(stu.stopId, stop)) continue;
+
+      const dir = directionOf(stu.stopId);
+      if (direction && dir !== direction) continue;
+
+      // time fields come through as strings (protobuf Long)
+      const arrivalTime = Number(stu.arrival?.time || 0) || null;
+      const departureTime = Number(stu.departure?.time || 0) || null;
+      const predicted = arrivalTime || departureTime;
+      if (!predicted) continue;
+
+      const secondsUntil = predicted - nowSec;
+      if (secondsUntil < 0) continue;
+
+      const tracks = stu.nyctStopTimeUpdate || {};
+
+      out.push({
+        route_id: routeId,
+        direction: dir,
+        trip_id: trip.tripId || null,
+        stop_id: stu.stopId,
+        destination_stop_id: lastStopId,
+        destination,
+        arrival_time: arrivalTime,
+        departure_time: departureTime,
+        predicted_at: new Date(predicted * 1000).toISOString(),
+        seconds_until: secondsUntil,
+        // NYCT extensions; null on feeds that don't send them
+        train_id: nyctTrip.trainId ?? null,
+        is_assigned: nyctTrip.isAssigned ?? null,
+        scheduled_track: tracks.scheduledTrack ?? null,
+        actual_track: tracks.actualTrack ?? null,
+        track_change: Boolean(
+          tracks.scheduledTrack && tracks.actualTrack && tracks.scheduledTrack !== tracks.actualTrack
+        ),
+      });
+    }
+  }
+
+  out.sort((a, b) => a.seconds_until - b.seconds_until);
+  return out;
+}
 
-// attempting to make an end point that shows arrivals depending on stop id
+// Upcoming arrivals at a stop or parent station for one feed
+// e.g. /api/arrivals/ace?stop=A27&direction=N&route=A
 
 app.get("/api/arrivals/:feed", async (req, res) => {
 
   try {
 
     const feed = req.params.feed;
-    const json = await getCached(feed);
-    const entities = json.entity || [];
-    const route = entities
-      .filter((e) => e.route)
-      .map((e) => e.route)
+    const stop = String(req.query.stop || "").trim();
+    const direction = String(req.query.direction || "").trim().toUpperCase() || null;
+    const route = String(req.query.route || "").trim().toUpperCase() || null;
+
+    if (!stop) {
+      return res.status(400).json({ error: "Missing ?stop= (stop or parent station id)" });
+    }
+    if (direction && direction !== "N" && direction !== "S") {
+      return res.status(400).json({ error: "direction must be N or S" });
+    }
+
+    const entry = await getCachedEntry(feed);
+    const arrivals = collectArrivals(entry.json, { stop, direction, route });
+
+    res.json({
+      feed,
+      stop,
+      direction,
+      route,
+
+      count: arrivals.length,
+
+      fetched_at: new Date(entry.ts).toISOString(),
+      stale: entry.stale,
+      age_seconds: entry.age_seconds,
+      arrivals,
+    });
+  } catch (err) {
+
+    res.status(500).json({ error: String(err.message || err) });
+
+  }
+});
+
+// ---------- Station helpers ----------
+// GTFS splits complexes (Times Sq-42 St / 42 St-Port Authority, ...) into
+// one parent station per trunk line. station_complexes.json groups them
+// back together from transfers.txt.
+function complexStationIds(stationId) {
+  return STATION_COMPLEXES[stationId] || [stationId];
+}
+
+function feedsForLineAtStation(line, stationId) {
+  const l = String(line).toUpperCase();
+  // 42 St shuttle stations are 901/902; everything else signed "S" is FS or H
+  if (l === "S") return String(stationId).startsWith("9") ? ["gtfs"] : ["ace"];
+  return LINE_TO_FEEDS[l] || [];
+}
+
+function feedsForStations(stationIds) {
+  const feeds = new Set();
+  for (const id of stationIds) {
+    for (const line of STATION_TO_LINES[id] || []) {
+      for (const feed of feedsForLineAtStation(line, id)) feeds.add(feed);
+    }
+  }
+  return [...feeds].filter((f) => FEEDS[f]);
+}
+
+async function stationArrivals(stationId, { direction, route } = {}) {
+  const stations = complexStationIds(stationId);
+  const feeds = feedsForStations(stations);
+
+  const { feeds: jsonByFeed, fetchedAt, stale, errors } = await getCachedMany(feeds);
+
+  const arrivals = [];
+  for (const [feed, json] of Object.entries(jsonByFeed)) {
+    for (const stop of stations) {
+      for (const a of collectArrivals(json, { stop, direction, route })) {
+        arrivals.push({ ...a, feed });
+      }
+    }
+  }
+
+  arrivals.sort((a, b) => a.seconds_until - b.seconds_until);
+
+  return {
+    station: stationId,
+    name: STOPS_BY_ID.get(stationId)?.name || null,
+    stations,
+    feeds,
+    direction,
+    route,
+
+    count: arrivals.length,
+
+    fetched_at: fetchedAt,
+    stale,
+    errors,
+    arrivals,
+  };
+}
+
+// Arrivals for a station across every feed that serves it (and the rest of its complex)
+// e.g. /api/stations/127/arrivals?direction=S&route=2
+
+app.get("/api/stations/:stationId/arrivals", async (req, res) => {
+
+  try {
+
+    const stationId = req.params.stationId;
+    const direction = String(req.query.direction || "").trim().toUpperCase() || null;
+    const route = String(req.query.route || "").trim().toUpperCase() || null;
+
+    if (!STOPS_BY_ID.has(stationId) && !STATION_TO_LINES[stationId]) {
+      return res.status(404).json({ error: `Unknown station: ${stationId}` });
+    }
+    if (direction && direction !== "N" && direction !== "S") {
+      return res.status(400).json({ error: "direction must be N or S" });
+    }
+
+    const result = await stationArrivals(stationId, { direction, route });
+
+    if (result.feeds.length && Object.keys(result.errors).length === result.feeds.length) {
+      return res.status(502).json({ error: "All feeds for this station failed", station: stationId, errors: result.errors });
+    }
+
+    res.json(result);
+  } catch (err) {
+
+    res.status(500).json({ error: String(err.message || err) });
+
+  }
+});
+
+// ---------- Merged GTFS-RT feed ----------
+// Does an entity touch any of these stations (parent ids)? Trip updates
+// and vehicles by stop, alerts by stop or by a route that serves one.
+function entityAtStations(e, stations, stationLines) {
+  const at = (stopId) => stopId && stations.has(parentStopId(stopId));
+  if (e.tripUpdate) return (e.tripUpdate.stopTimeUpdate || []).some((stu) => at(stu.stopId));
+  if (e.vehicle) return at(e.vehicle.stopId);
+  if (e.alert) {
+    return (e.alert.informedEntity || []).some((ie) =>
+      ie.stopId ? at(ie.stopId) : ie.routeId && stationLines.has(lineForRouteId(ie.routeId))
+    );
+  }
+  return false;
+}
+
+// Encoded bodies by ETag; a handful of filter variants at most
+const mergedBodies = new Map();
+const MERGED_BODIES_MAX = 20;
+
+// All FEEDS as one GTFS-RT FeedMessage, for consumers that want protobuf
+// ?route=A,C        only entities for these routes
+// ?station=127,A27  only entities touching these stations (or their complexes)
+// Entity ids are prefixed with the feed id so they stay unique. Re-encoding
+// uses the stock schema, so NYCT extensions are not included.
+app.get("/gtfsrt/merged.pb", async (req, res) => {
+  try {
+
+    const routes = splitList(req.query.route);
+    const stations = new Set(splitList(req.query.station).flatMap(complexStationIds));
+    const stationLines = new Set([...stations].flatMap((id) => STATION_TO_LINES[id] || []));
+
+    const feedIds = Object.keys(FEEDS);
+    const results = await Promise.allSettled(feedIds.map((f) => getCachedEntry(f)));
+    const entries = [];
+    const missing = [];
+    results.forEach((r, i) => (r.status === "fulfilled" ? entries.push([feedIds[i], r.value]) : missing.push(feedIds[i])));
+    if (!entries.length) return res.status(502).json({ error: "No feeds available", missing });
+
+    const newest = Math.max(...entries.map(([, e]) => e.ts));
+    const maxAge = Math.floor(Math.min(...entries.map(([id, e]) => refreshSeconds(id) - e.age_seconds)));
+    const etag = crypto
+      .createHash("sha1")
+      .update(entries.map(([id, e]) => `${id}:${e.ts}`).join(","))
+      .update(`|${routes.join(",")}|${[...stations].join(",")}`)
+      .digest("base64url");
+
+    res.set({
+      ETag: `"merged-${etag}"`,
+      "Last-Modified": new Date(newest).toUTCString(),
+      "Cache-Control": `public, max-age=${Math.max(0, maxAge)}`,
+    });
+    if (missing.length) res.set("X-Feeds-Missing", missing.join(","));
+    if (req.fresh) return res.status(304).end();
+
+    let body = mergedBodies.get(etag);
+    if (!body) {
+      const entity = [];
+      let oldestHeader = Infinity;
+
+      for (const [feedId, entry] of entries) {
+        const ts = Number(entry.json.header?.timestamp || 0);
+        if (ts) oldestHeader = Math.min(oldestHeader, ts);
+
+        const data = projectFeed(entry.json, { routes });
+        for (const e of data.entity || []) {
+          if (stations.size && !entityAtStations(e, stations, stationLines)) continue;
+          entity.push({ ...e, id: `${feedId}:${e.id}` });
+        }
+      }
+
+      const { FeedMessage } = GtfsRealtimeBindings.transit_realtime;
+      const message = FeedMessage.fromObject({
+        header: {
+          gtfsRealtimeVersion: "2.0",
+          incrementality: "FULL_DATASET",
+          // the oldest feed's time, so one stuck feed makes the merged one look stale too
+          timestamp: Number.isFinite(oldestHeader) ? oldestHeader : nowSeconds(),
+        },
+        entity,
+      });
+      body = Buffer.from(FeedMessage.encode(message).finish());
+
+      if (mergedBodies.size >= MERGED_BODIES_MAX) mergedBodies.delete(mergedBodies.keys().next().value);
+      mergedBodies.set(etag, body);
+    }
+
+    res.type("application/x-protobuf").send(body);
+  } catch (err) {
+
+    res.status(500).json({ error: String(err.message || err) });
+  }
+});
+
+// ---------- Schedule comparison ----------
+// Remaining stops of a trip update, each with its predicted time, the
+// matching scheduled time (epoch seconds) and the difference between them
+function compareToSchedule(tu, nowSec = nowSeconds()) {
+  const trip = tu.trip || {};
+  const stus = tu.stopTimeUpdate || [];
+
+  const startDate = trip.startDate || serviceDateFor(nowSec);
+  const scheduled = SCHEDULES.lookup(trip.tripId || "", { startDate, stopIds: stus.map((x) => x.stopId) });
+  const dayStart = serviceDayStart(startDate);
+
+  const stops = [];
+  for (const stu of stus) {
+    const arrivalTime = Number(stu.arrival?.time || 0) || null;
+    const departureTime = Number(stu.departure?.time || 0) || null;
+    // already left this one
+    if ((departureTime || arrivalTime || Infinity) < nowSec) continue;
+
+    const sched = SCHEDULES.stopTime(scheduled, stu.stopId);
+    const scheduledArrival = sched?.arrival != null ? dayStart + sched.arrival : null;
+    const scheduledDeparture = sched?.departure != null ? dayStart + sched.departure : null;
+    const predicted = arrivalTime || departureTime;
+    const planned = scheduledArrival || scheduledDeparture;
+
+    stops.push({
+      stu,
+      arrivalTime,
+      departureTime,
+      predicted,
+      scheduledArrival,
+      scheduledDeparture,
+      delay: predicted && planned ? predicted - planned : null,
+    });
+  }
+
+  return { scheduled, stops };
+}
+
+// ---------- Arrival archive ----------
+// Upsert the latest prediction for every upcoming stop in a freshly
+// fetched feed
+function archiveFeed(feedName) {
+  const json = cache.get(feedName)?.json;
+  if (!archive || !json) return;
+
+  const nowSec = nowSeconds();
+  const rows = [];
+  for (const e of json.entity || []) {
+    const tu = e.tripUpdate;
+    const trip = tu?.trip;
+    if (!trip?.tripId) continue;
+
+    const startDate = trip.startDate || serviceDateFor(nowSec);
+    for (const c of compareToSchedule(tu, nowSec).stops) {
+      if (!c.predicted) continue;
+      rows.push({
+        trip_id: trip.tripId,
+        start_date: startDate,
+        stop_id: c.stu.stopId,
+        station_id: parentStopId(c.stu.stopId),
+        route_id: trip.routeId || null,
+        line: lineForRouteId(trip.routeId),
+        direction: directionOf(c.stu.stopId),
+        feed: feedName,
+        observed_time: c.predicted,
+        scheduled_time: c.scheduledArrival || c.scheduledDeparture,
+        seen: nowSec,
+      });
+    }
+  }
+
+  try {
+    archive.record(rows);
+  } catch (err) {
+    console.warn(`Archiving ${feedName} failed: ${err.message || err}`);
+  }
+}
+
+if (archive) feedEvents.on("refresh", archiveFeed);
+
+// Epoch seconds, epoch ms, or anything Date.parse understands
+function parseTimeParam(value) {
+  if (value === undefined || value === "") return null;
+  const n = Number(value);
+  if (Number.isFinite(n)) return n > 1e12 ? Math.floor(n / 1000) : n;
+  const t = Date.parse(value);
+  return Number.isFinite(t) ? Math.floor(t / 1000) : NaN;
+}
+
+// Actual vs scheduled headways at a station from the archive
+// e.g. /api/stats/headways?station=127&line=1&direction=S&from=2026-10-12
+
+app.get("/api/stats/headways", (req, res) => {
+
+  if (!archive) return res.status(503).json({ error: "Arrival archive is off (set ARCHIVE_DB)" });
+
+  try {
+
+    const station = String(req.query.station || "").trim();
+    const line = String(req.query.line || "").trim().toUpperCase();
+    const direction = String(req.query.direction || "").trim().toUpperCase() || null;
+    if (!station || !line) return res.status(400).json({ error: "station and line are required" });
+    if (direction && direction !== "N" && direction !== "S") {
+      return res.status(400).json({ error: "direction must be N or S" });
+    }
+
+    const to = parseTimeParam(req.query.to) ?? nowSeconds();
+    const from = parseTimeParam(req.query.from) ?? to - 24 * 3600;
+    if (Number.isNaN(from) || Number.isNaN(to) || from >= to) {
+      return res.status(400).json({ error: "from and to must be times with from < to" });
+    }
+
+    const rows = archive.arrivals({ stationIds: complexStationIds(station), line, direction, from, to });
+
+    const directions = {};
+    for (const dir of direction ? [direction] : ["N", "S"]) {
+      directions[dir] = headwayStats(rows.filter((r) => r.direction === dir));
+    }
+
+    res.json({
+      station,
+      name: STOPS_BY_ID.get(station)?.name || null,
+      line,
+      from: new Date(from * 1000).toISOString(),
+      to: new Date(to * 1000).toISOString(),
+
+      directions,
+    });
+  } catch (err) {
+
+    res.status(500).json({ error: String(err.message || err) });
+
+  }
+});
+
+// ---------- Trip detail ----------
+function findTripUpdate(feeds, tripId) {
+  for (const [feed, json] of Object.entries(feeds)) {
+    const e = (json.entity || []).find((x) => x.tripUpdate?.trip?.tripId === tripId);
+    if (e) return { feed, tripUpdate: e.tripUpdate };
+  }
+  return null;
+}
+
+// Every remaining stop of a trip with predictions, names, and the
+// scheduled time when trip_schedules.json has the trip
+// e.g. /api/trips/097550_A..N?feed=ace
+
+app.get("/api/trips/:tripId", async (req, res) => {
+
+  try {
+
+    const tripId = req.params.tripId;
+    const feedParam = String(req.query.feed || "").trim() || null;
+    if (feedParam && !FEEDS[feedParam]) return res.status(404).json({ error: `Unknown feed: ${feedParam}` });
+
+    const { feeds, fetchedAt, stale, errors } = await getCachedMany(feedParam ? [feedParam] : Object.keys(FEEDS));
+    const found = findTripUpdate(feeds, tripId);
+    if (!found) return res.status(404).json({ error: `Trip not in the current feeds: ${tripId}`, errors });
+
+    const { feed, tripUpdate: tu } = found;
+    const trip = tu.trip || {};
+    const nowSec = nowSeconds();
+    const stus = tu.stopTimeUpdate || [];
+    const { scheduled, stops: compared } = compareToSchedule(tu, nowSec);
+
+    const stops = compared.map(({ stu, ...c }) => {
+      const stationId = parentStopId(stu.stopId);
+      return {
+        stop_id: stu.stopId,
+        station_id: stationId,
+        name: STOPS_BY_ID.get(stationId)?.name || null,
+        arrival_time: c.arrivalTime,
+        departure_time: c.departureTime,
+        seconds_until: c.predicted ? c.predicted - nowSec : null,
+        scheduled_arrival: c.scheduledArrival,
+        scheduled_departure: c.scheduledDeparture,
+        delay_seconds: c.delay,
+        scheduled_track: stu.nyctStopTimeUpdate?.scheduledTrack ?? null,
+        actual_track: stu.nyctStopTimeUpdate?.actualTrack ?? null,
+      };
+    });
+
+    const lastStopId = stus.length ? stus[stus.length - 1].stopId : null;
+
+    res.json({
+      trip_id: tripId,
+      feed,
+      route_id: trip.routeId || null,
+      direction: directionOf(lastStopId) || tripId.match(/\.{1,2}([NS])/)?.[1] || null,
+      start_date: trip.startDate || null,
+      train_id: trip.nyctTripDescriptor?.trainId ?? null,
+      is_assigned: trip.nyctTripDescriptor?.isAssigned ?? null,
+      destination: STOPS_BY_ID.get(parentStopId(lastStopId))?.name || null,
+      headsign: scheduled?.headsign || null,
+      scheduled: Boolean(scheduled),
+      fetched_at: fetchedAt[feed],
+      stale: feed in stale,
+
+      count: stops.length,
+
+      stops,
+    });
+  } catch (err) {
+
+    res.status(500).json({ error: String(err.message || err) });
+
+  }
+});
+
+// ---------- Line delays ----------
+const DELAYED_TRIPS_LIMIT = 5;
+
+function summarizeDelays(trips) {
+  if (!trips.length) return { trips: 0, avg_delay_seconds: null, max_delay_seconds: null };
+  const delays = trips.map((t) => t.delay_seconds);
+  return {
+    trips: trips.length,
+    avg_delay_seconds: Math.round(delays.reduce((a, b) => a + b, 0) / delays.length),
+    max_delay_seconds: Math.max(...delays),
+  };
+}
+
+// Each realtime trip whose route passes matchRoute, matched to its
+// scheduled trip and measured at its next stop
+function collectTripDelays(feeds, matchRoute, nowSec = nowSeconds()) {
+  const matched = [];
+  let unmatched = 0;
+
+  for (const json of Object.values(feeds)) {
+    for (const e of json.entity || []) {
+      const tu = e.tripUpdate;
+      if (!tu || !matchRoute(tu.trip?.routeId)) continue;
+
+      const { scheduled, stops } = compareToSchedule(tu, nowSec);
+      const next = stops.find((x) => x.delay != null);
+      if (!scheduled || !next) {
+        unmatched++;
+        continue;
+      }
+
+      const stus = tu.stopTimeUpdate || [];
+      const lastStopId = stus.length ? stus[stus.length - 1].stopId : null;
+      const nextStation = parentStopId(next.stu.stopId);
+
+      matched.push({
+        trip_id: tu.trip.tripId,
+        route_id: tu.trip.routeId,
+        direction: directionOf(lastStopId) || tu.trip.tripId.match(/\.{1,2}([NS])/)?.[1] || null,
+        train_id: tu.trip.nyctTripDescriptor?.trainId ?? null,
+        next_stop_id: next.stu.stopId,
+        next_stop: STOPS_BY_ID.get(nextStation)?.name || null,
+        destination: STOPS_BY_ID.get(parentStopId(lastStopId))?.name || null,
+        delay_seconds: next.delay,
+      });
+    }
+  }
+
+  return { matched, unmatched };
+}
+
+// How late a line is running
+// e.g. /api/lines/A/delays
+
+app.get("/api/lines/:line/delays", async (req, res) => {
+
+  try {
+
+    const line = String(req.params.line || "").toUpperCase();
+    const feedIds = (line === "S" ? ["gtfs", "ace"] : LINE_TO_FEEDS[line] || []).filter((id) => FEEDS[id]);
+    if (!feedIds.length) return res.status(404).json({ error: `Unknown line: ${line}` });
+
+    const limit = Math.min(Math.max(Number(req.query.limit) || DELAYED_TRIPS_LIMIT, 1), 50);
+    const nowSec = nowSeconds();
+
+    const { feeds, fetchedAt, stale, errors } = await getCachedMany(feedIds);
+    if (!Object.keys(feeds).length) return res.status(502).json({ error: "No feeds available", errors });
+
+    const { matched, unmatched } = collectTripDelays(feeds, (routeId) => lineForRouteId(routeId) === line, nowSec);
+
+    const directions = {};
+    for (const dir of ["N", "S"]) directions[dir] = summarizeDelays(matched.filter((t) => t.direction === dir));
+
+    const mostDelayed = matched
+      .filter((t) => t.delay_seconds > 0)
+      .sort((a, b) => b.delay_seconds - a.delay_seconds)
+      .slice(0, limit);
+
+    res.json({
+      line,
+      fetched_at: fetchedAt,
+      stale,
+      errors,
+
+      schedule_available: SCHEDULES.size > 0,
+      unmatched_trips: unmatched,
+
+      ...summarizeDelays(matched),
+      directions,
+      most_delayed: mostDelayed,
+    });
+  } catch (err) {
+
+    res.status(500).json({ error: String(err.message || err) });
+
+  }
+});
+
+// ---------- Line status ----------
+// Worst first
+const LINE_STATUSES = ["Suspended", "Delays", "Service Change", "Good Service"];
+const ALERT_EFFECT_STATUS = {
+  NO_SERVICE: "Suspended",
+  SIGNIFICANT_DELAYS: "Delays",
+  REDUCED_SERVICE: "Service Change",
+  DETOUR: "Service Change",
+  MODIFIED_SERVICE: "Service Change",
+  STOP_MOVED: "Service Change",
+};
+// average lateness that counts as delays
+const LINE_DELAY_SECONDS = 300;
+// fewer realtime trains than this share of the schedule counts as delays
+const LINE_REDUCED_RATIO = 0.6;
+const LINE_REDUCED_MIN_SCHEDULED = 4;
+
+// Lines on the status board: express variants (6X, 7X, FX) fold into their line
+function baseLine(routeId) {
+  const line = lineForRouteId(routeId);
+  return line.length > 1 && line.endsWith("X") ? line.slice(0, -1) : line;
+}
+
+const STATUS_LINES = [...new Set(ROUTES.map((r) => baseLine(r.route_id)))];
+
+// MTA alerts often carry no effect; fall back to the header text
+function alertStatus(alert) {
+  if (ALERT_EFFECT_STATUS[alert.effect]) return ALERT_EFFECT_STATUS[alert.effect];
+  const text = String(alert.header || "");
+  if (/suspend/i.test(text)) return "Suspended";
+  if (/delay/i.test(text)) return "Delays";
+  return null;
+}
+
+// Status per subway line, from active alerts, realtime vs scheduled trip
+// counts and how late matched trips are running
+// e.g. /api/lines/status
+
+app.get("/api/lines/status", async (req, res) => {
+
+  try {
+
+    const nowSec = nowSeconds();
+    const feedIds = [...new Set(STATUS_LINES.flatMap((l) => (l === "S" ? ["gtfs", "ace"] : LINE_TO_FEEDS[l] || [])))].filter(
+      (id) => FEEDS[id]
+    );
+
+    const { feeds, fetchedAt, stale, errors } = await getCachedMany(feedIds);
+    if (!Object.keys(feeds).length) return res.status(502).json({ error: "No feeds available", errors });
+
+    const alerts = activeAlerts(feeds, nowSec);
+    const { matched } = collectTripDelays(feeds, () => true, nowSec);
+    const scheduledByRoute = SCHEDULES.size ? SCHEDULES.activeTripCounts(nowSec) : null;
+
+    // realtime trips per line; once NYCT says which trains are assigned,
+    // the rest are just planned and don't count
+    const realtime = {}; // line -> Set of trip ids
+    for (const json of Object.values(feeds)) {
+      for (const e of json.entity || []) {
+        const trip = e.tripUpdate?.trip;
+        if (!trip?.routeId || trip.nyctTripDescriptor?.isAssigned === false) continue;
+        const line = baseLine(trip.routeId);
+        if (!realtime[line]) realtime[line] = new Set();
+        realtime[line].add(trip.tripId);
+      }
+    }
+
+    const lines = STATUS_LINES.map((line) => {
+      const lineFeeds = line === "S" ? ["gtfs", "ace"] : LINE_TO_FEEDS[line] || [];
+      if (!lineFeeds.some((id) => feeds[id])) {
+        return { line, status: "Unknown", reason: "No realtime data", alerts: [], trips: null, avg_delay_seconds: null };
+      }
+
+      const findings = []; // [status, reason]
+
+      const lineAlerts = alerts.filter((a) => a.routes.some((r) => baseLine(r) === line));
+      for (const a of lineAlerts) {
+        const status = alertStatus(a);
+        if (status) findings.push([status, a.header || a.effect]);
+      }
+
+      let scheduled = null;
+      if (scheduledByRoute) {
+        scheduled = Object.entries(scheduledByRoute)
+          .filter(([routeId]) => baseLine(routeId) === line)
+          .reduce((sum, [, n]) => sum + n, 0);
+      }
+      const running = realtime[line]?.size || 0;
+      if (scheduled >= LINE_REDUCED_MIN_SCHEDULED && running < scheduled * LINE_REDUCED_RATIO) {
+        findings.push(["Delays", `${running} of ${scheduled} scheduled trains running`]);
+      }
+
+      const delays = matched.filter((t) => baseLine(t.route_id) === line).map((t) => t.delay_seconds);
+      const avgDelay = delays.length ? Math.round(delays.reduce((a, b) => a + b, 0) / delays.length) : null;
+      if (avgDelay >= LINE_DELAY_SECONDS) findings.push(["Delays", `Trains running ~${Math.round(avgDelay / 60)} min late`]);
+
+      findings.sort((a, b) => LINE_STATUSES.indexOf(a[0]) - LINE_STATUSES.indexOf(b[0]));
+      const [status, reason] = findings[0] || ["Good Service", null];
+
+      return {
+        line,
+        status,
+        reason,
+        alerts: lineAlerts.map((a) => a.id),
+        trips: { realtime: running, scheduled },
+        avg_delay_seconds: avgDelay,
+      };
+    });
+
+    res.json({
+      fetched_at: fetchedAt,
+      stale,
+      errors,
+
+      schedule_available: SCHEDULES.size > 0,
+      count: lines.length,
+
+      lines,
+    });
+  } catch (err) {
+
+    res.status(500).json({ error: String(err.message || err) });
+
+  }
+});
+
+// ---------- Static data API ----------
+const NEAR_DEFAULT_RADIUS_M = 1200;
+const NEAR_MAX_RADIUS_M = 20000;
+const NEAR_DEFAULT_LIMIT = 12;
+const NEAR_MAX_LIMIT = 100;
+
+function stopDetails(stop) {
+  return {
+    id: stop.id,
+    name: stop.name,
+    lat: stop.lat,
+    lon: stop.lon,
+    lines: STATION_TO_LINES[stop.id] || [],
+  };
+}
+
+// Nearest stations to a point
+// e.g. /api/stops/near?lat=40.758&lon=-73.9855&radius=800&limit=5
+
+app.get("/api/stops/near", (req, res) => {
+
+  const lat = Number(req.query.lat);
+  const lon = Number(req.query.lon);
+  const radius = req.query.radius === undefined ? NEAR_DEFAULT_RADIUS_M : Number(req.query.radius);
+  const limit = req.query.limit === undefined ? NEAR_DEFAULT_LIMIT : Number(req.query.limit);
+
+  if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+    return res.status(400).json({ error: "lat and lon are required numbers" });
+  }
+  if (!(radius > 0) || radius > NEAR_MAX_RADIUS_M) {
+    return res.status(400).json({ error: `radius must be between 0 and ${NEAR_MAX_RADIUS_M} meters` });
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > NEAR_MAX_LIMIT) {
+    return res.status(400).json({ error: `limit must be an integer from 1 to ${NEAR_MAX_LIMIT}` });
+  }
+
+  const stops = STOPS_INDEX.nearest(lat, lon, { limit, radius }).map(({ item, distance }) => ({
+    ...stopDetails(item),
+    distance_m: Math.round(distance),
+  }));
+
+  res.json({ lat, lon, radius, limit, count: stops.length, stops });
+});
+
+// One station, its lines, and the rest of its complex
+app.get("/api/stops/:id", (req, res) => {
+
+  const stop = STOPS_BY_ID.get(req.params.id);
+  if (!stop) return res.status(404).json({ error: `Unknown stop: ${req.params.id}` });
+
+  const complex = complexStationIds(stop.id)
+    .filter((id) => id !== stop.id)
+    .map((id) => stopDetails(STOPS_BY_ID.get(id)));
+
+  res.json({ ...stopDetails(stop), feeds: feedsForStations([stop.id]), complex });
+});
+
+// A line's stations, in running order where route shapes allow
+// e.g. /api/lines/A   /api/lines/S
+app.get("/api/lines/:line", (req, res) => {
+
+  const line = String(req.params.line).toUpperCase();
+  const routes = ROUTES.filter((r) => String(r.short_name).toUpperCase() === line);
+  const serving = STOPS.filter((s) => (STATION_TO_LINES[s.id] || []).includes(line));
+
+  if (!routes.length && !serving.length) {
+    return res.status(404).json({ error: `Unknown line: ${line}` });
+  }
+
+  // northbound (direction "0") shape order for each route signed as this line;
+  // the shuttles are three separate routes all signed "S"
+  const ordered = [];
+  for (const [key, shape] of getShapeIndex()) {
+    const [routeId, dir] = key.split("|");
+    if (dir !== "0" || lineForRouteId(routeId) !== line) continue;
+    for (const st of shape.stations) if (!ordered.includes(st.id)) ordered.push(st.id);
+  }
+  for (const s of serving) if (!ordered.includes(s.id)) ordered.push(s.id);
+
+  res.json({
+    line,
+    routes: routes.map((r) => ({
+      route_id: r.route_id,
+      long_name: r.long_name,
+      color: r.color ? `#${r.color}` : null,
+      text_color: r.text_color ? `#${r.text_color}` : null,
+    })),
+    feeds: [...new Set(serving.flatMap((s) => feedsForLineAtStation(line, s.id)))],
+    count: ordered.length,
+    stations: ordered.map((id) => STOPS_BY_ID.get(id)).filter(Boolean).map(stopDetails),
+  });
+});
+
+// ---------- Streaming (Server-Sent Events) ----------
+// While anyone is streaming a station, keep its feeds warm so the cache
+// refreshes (and emits "refresh") every refresh_seconds without a request.
+const feedWatchers = new Map(); // feedName -> { count, timer }
+
+function watchFeed(feed) {
+  const w = feedWatchers.get(feed);
+  if (w) {
+    w.count++;
+    return;
+  }
+  const timer = setInterval(() => {
+    refreshFeed(feed).catch(() => {}); // stream just waits for the next good refresh
+  }, refreshSeconds(feed) * 1000);
+  feedWatchers.set(feed, { count: 1, timer });
+}
+
+function unwatchFeed(feed) {
+  const w = feedWatchers.get(feed);
+  if (!w) return;
+  if (--w.count > 0) return;
+  clearInterval(w.timer);
+  feedWatchers.delete(feed);
+}
+
+function arrivalKey(a) {
+  return `${a.trip_id}|${a.stop_id}`;
+}
+
+// Predicted times, track and assignment count as an update; seconds_until
+// ticks down on its own and clients recompute it.
+function diffArrivals(prev, next) {
+  const added = [];
+  const updated = [];
+  const removed = [];
+
+  for (const [key, a] of next) {
+    const old = prev.get(key);
+    if (!old) added.push(a);
+    else if (
+      old.arrival_time !== a.arrival_time ||
+      old.departure_time !== a.departure_time ||
+      old.actual_track !== a.actual_track ||
+      old.is_assigned !== a.is_assigned
+    ) updated.push(a);
+  }
+  for (const key of prev.keys()) {
+    if (!next.has(key)) removed.push(key);
+  }
+
+  return { added, updated, removed };
+}
+
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Live arrivals for a station: a "snapshot" event on connect, then a "diff"
+// event ({ added, updated, removed }) each time one of its feeds refreshes.
+// Arrivals carry an `id` (trip_id|stop_id) that `removed` refers to. When
+// arrivals can't be fetched a "failure" event ({ error }) goes out instead,
+// and the stream carries on (with a snapshot, if none was sent yet).
+// e.g. /api/stream/stations/127
+
+app.get("/api/stream/stations/:stationId", async (req, res) => {
+
+  const stationId = req.params.stationId;
+  const direction = String(req.query.direction || "").trim().toUpperCase() || null;
+  const route = String(req.query.route || "").trim().toUpperCase() || null;
+
+  if (!STOPS_BY_ID.has(stationId) && !STATION_TO_LINES[stationId]) {
+    return res.status(404).json({ error: `Unknown station: ${stationId}` });
+  }
+  if (direction && direction !== "N" && direction !== "S") {
+    return res.status(400).json({ error: "direction must be N or S" });
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // don't let a reverse proxy sit on events
+  });
+  res.flushHeaders();
+  res.write(`retry: 5000\n\n`);
+
+  const feeds = feedsForStations(complexStationIds(stationId));
+  let last = null; // arrivals in the last snapshot/diff sent; null until a snapshot goes out
+  let closed = false;
+  let busy = Promise.resolve();
+
+  const withIds = (arrivals) => arrivals.map((a) => ({ id: arrivalKey(a), ...a }));
+
+  const push = async () => {
+    try {
+      const result = await stationArrivals(stationId, { direction, route });
+      if (closed) return;
+
+      const arrivals = withIds(result.arrivals);
+      const next = new Map(arrivals.map((a) => [a.id, a]));
+
+      if (!last) {
+        sendEvent(res, "snapshot", { ...result, arrivals });
+      } else {
+        // sent even when empty so clients see the new fetched_at
+        const diff = diffArrivals(last, next);
+        sendEvent(res, "diff", {
+          station: stationId,
+          fetched_at: result.fetched_at,
+          stale: result.stale,
+          errors: result.errors,
+          ...diff,
+        });
+      }
+      last = next;
+    } catch (err) {
+      // not "error": EventSource hands that name to onerror, which browsers
+      // treat as a dropped connection
+      if (!closed) sendEvent(res, "failure", { error: String(err.message || err) });
+    }
+  };
+
+  // serialize pushes so diffs are always against the previous one we sent
+  const onRefresh = (feed) => {
+    if (!feeds.includes(feed)) return;
+    busy = busy.then(push);
+  };
+
+  busy = busy.then(push);
+  feedEvents.on("refresh", onRefresh);
+  feeds.forEach(watchFeed);
+
+  const ping = setInterval(() => res.write(`: ping\n\n`), 25000);
+
+  req.on("close", () => {
+    closed = true;
+    clearInterval(ping);
+    feedEvents.off("refresh", onRefresh);
+    feeds.forEach(unwatchFeed);
+  });
+});
+
+// ---------- Alerts helpers ----------
+// MTA sends each text in "en" and "en-html"; prefer plain English.
+function pickTranslation(ts) {
+  const list = ts?.translation || [];
+  const plain = list.find((t) => t.language === "en") || list.find((t) => !t.language) || list[0];
+  return plain?.text || null;
+}
+
+// enums decode as numbers; hand clients the names instead
+function enumName(values, v) {
+  if (v === undefined || v === null) return null;
+  return Object.keys(values).find((k) => values[k] === v) || String(v);
+}
+
+function normalizeAlert(e, feed) {
+  const a = e.alert;
+  const informed = (a.informedEntity || []).map((ie) => ({
+    agency_id: ie.agencyId || null,
+    route_id: ie.routeId || null,
+    stop_id: ie.stopId || null,
+  }));
+
+  return {
+    id: e.id,
+    feed,
+    header: pickTranslation(a.headerText),
+    description: pickTranslation(a.descriptionText),
+    cause: enumName(GtfsRealtimeBindings.transit_realtime.Alert.Cause, a.cause),
+    effect: enumName(GtfsRealtimeBindings.transit_realtime.Alert.Effect, a.effect),
+    active_periods: (a.activePeriod || []).map((p) => ({
+      start: Number(p.start || 0) || null,
+      end: Number(p.end || 0) || null,
+    })),
+    informed_entities: informed,
+    routes: [...new Set(informed.map((ie) => ie.route_id).filter(Boolean))],
+    stops: [...new Set(informed.map((ie) => parentStopId(ie.stop_id)).filter(Boolean))],
+  };
+}
+
+// No active periods means "active until further notice"
+// Active alerts across decoded feeds; the same alert can show up in more
+// than one feed
+function activeAlerts(feeds, nowSec = nowSeconds()) {
+  const byId = new Map();
+  for (const [feed, json] of Object.entries(feeds)) {
+    for (const e of json.entity || []) {
+      if (!e.alert || byId.has(e.id)) continue;
+      byId.set(e.id, normalizeAlert(e, feed));
+    }
+  }
+  return [...byId.values()].filter((a) => alertIsActive(a, nowSec));
+}
+
+function alertIsActive(alert, nowSec = nowSeconds()) {
+  if (!alert.active_periods.length) return true;
+  return alert.active_periods.some(
+    (p) => (!p.start || p.start <= nowSec) && (!p.end || nowSec < p.end)
+  );
+}
+
+// Active service alerts from every feed, optionally for one route or station
+// e.g. /api/alerts?route=A   /api/alerts?station=127
+
+app.get("/api/alerts", async (req, res) => {
+
+  try {
+
+    const route = String(req.query.route || "").trim().toUpperCase() || null;
+    const station = String(req.query.station || "").trim() || null;
+    const stations = station ? complexStationIds(station) : null;
+    const stationLines = new Set((stations || []).flatMap((id) => STATION_TO_LINES[id] || []));
+
+    const { feeds, fetchedAt, stale, errors } = await getCachedMany(Object.keys(FEEDS));
+
+    const alerts = activeAlerts(feeds).filter((a) => {
+      if (route && !a.routes.some((r) => r.toUpperCase() === route)) return false;
+      if (stations) {
+        // a stop-scoped entity must hit the station; a route-wide one counts
+        // if that route serves the station
+        const hit = a.informed_entities.some((ie) =>
+          ie.stop_id
+            ? stations.includes(parentStopId(ie.stop_id))
+            : ie.route_id && stationLines.has(lineForRouteId(ie.route_id))
+        );
+        if (!hit) return false;
+      }
+      return true;
+    });
 
     res.json({
+      route,
+      station,
+
+      count: alerts.length,
+
+      fetched_at: fetchedAt,
+      stale,
+      errors,
+      alerts,
+    });
+  } catch (err) {
+
+    res.status(500).json({ error: String(err.message || err) });
+
+  }
+});
+
+// ---------- Vehicle helpers ----------
+// Built on first use; route_shapes.json is ~770KB
+let shapeIndex = null;
+
+function getShapeIndex() {
+  if (!shapeIndex) {
+    shapeIndex = createShapeIndex({
+      shapes: loadStaticJSON("route_shapes.json"),
+      stops: STOPS,
+      stationToLines: STATION_TO_LINES,
+      lineForRouteId,
+    });
+  }
+  return shapeIndex;
+}
+
+function collectVehicles(json, feed, { route } = {}, nowSec = nowSeconds()) {
+  // predicted arrival per trip+stop, to place trains between stations
+  const etaByTripStop = new Map();
+  for (const e of json.entity || []) {
+    const tu = e.tripUpdate;
+    if (!tu?.trip?.tripId) continue;
+    for (const stu of tu.stopTimeUpdate || []) {
+      const t = Number(stu.arrival?.time || stu.departure?.time || 0);
+      if (t) etaByTripStop.set(`${tu.trip.tripId}|${stu.stopId}`, t - nowSec);
+    }
+  }
+
+  const out = [];
+
+  for (const e of json.entity || []) {
+    const v = e.vehicle;
+    if (!v) continue;
+
+    const trip = v.trip || {};
+    const routeId = trip.routeId || "";
+    if (route && routeId.toUpperCase() !== route) continue;
+
+    const stopId = v.stopId || null;
+    const stationId = parentStopId(stopId);
+    const station = STOPS_BY_ID.get(stationId);
+    // currentStatus is omitted when it's the proto default
+    const status = enumName(
+      GtfsRealtimeBindings.transit_realtime.VehiclePosition.VehicleStopStatus,
+      v.currentStatus ?? GtfsRealtimeBindings.transit_realtime.VehiclePosition.VehicleStopStatus.IN_TRANSIT_TO
+    );
+    // NYCT trip ids carry it too ("097550_A..N58R") when the stop id doesn't say
+    const direction = directionOf(stopId) || String(trip.tripId || "").match(/\.{1,2}([NS])/)?.[1] || null;
+
+    // rail/bus feeds report real GPS; NYCT subway only reports the stop
+    const gps = v.position;
+    const pos = Number.isFinite(gps?.latitude) && Number.isFinite(gps?.longitude)
+      ? { lat: gps.latitude, lon: gps.longitude, bearing: gps.bearing ?? null, approximate: false }
+      : locateVehicle(getShapeIndex(), {
+        routeId,
+        direction,
+        stationId,
+        status,
+        secondsUntil: etaByTripStop.get(`${trip.tripId}|${stopId}`),
+        fallback: station,
+      });
+    if (!pos) continue;
+
+    out.push({
+      id: e.id,
       feed,
+      route_id: routeId,
+      trip_id: trip.tripId || null,
+      train_id: trip.nyctTripDescriptor?.trainId ?? null,
+      is_assigned: trip.nyctTripDescriptor?.isAssigned ?? null,
+      direction,
+      status,
+      stop_id: stopId,
+      stop_name: station?.name || null,
+      timestamp: Number(v.timestamp || 0) || null,
+      lat: pos.lat,
+      lon: pos.lon,
+      bearing: pos.bearing,
+      approximate: pos.approximate,
+    });
+  }
+
+  return out;
+}
 
-      count: route.length,
+// Approximate positions of every train, optionally for one route
+// e.g. /api/vehicles?route=A
 
-      fetched_at: new Date(cache.get(feed).ts).toISOString(),
-      arrival,
+app.get("/api/vehicles", async (req, res) => {
+
+  try {
+
+    const route = String(req.query.route || "").trim().toUpperCase() || null;
+
+    let feeds = Object.keys(FEEDS);
+    if (route) {
+      const line = lineForRouteId(route);
+      feeds = line === "S" ? ["gtfs", "ace"] : LINE_TO_FEEDS[line] || [];
+      if (!feeds.length) return res.status(404).json({ error: `Unknown route: ${route}` });
+    }
+
+    const { feeds: jsonByFeed, fetchedAt, stale, errors } = await getCachedMany(feeds);
+
+    const vehicles = [];
+    for (const [feed, json] of Object.entries(jsonByFeed)) {
+      vehicles.push(...collectVehicles(json, feed, { route }));
+    }
+
+    res.json({
+      route,
+
+      count: vehicles.length,
+
+      fetched_at: fetchedAt,
+      stale,
+      errors,
+      vehicles,
     });
   } catch (err) {
 
     res.status(500).json({ error: String(err.message || err) });
 
   }
-})
+});
 
 app.listen(PORT, "0.0.0.0", () => {
 
   console.log(` MTA proxy running on http://0.0.0.0:${PORT}`);
 
+  if (replay) console.log(`Replaying recordings from ${REPLAY_DIR} at ${replay.describe().speed}x`);
+
+  if (recorder) console.log(`Recording feeds to ${RECORD_DIR}`);
+
+  if (API_KEYS_FILE) console.log(`API keys required (from ${API_KEYS_FILE})`);
+
   console.log(`Try: http://<pi-ip>:${PORT}/health`);
 
   console.log(`Try: http://<pi-ip>:${PORT}/api/gtfsrt/jz`);
 
+  console.log(`Try: http://<pi-ip>:${PORT}/api/feeds`);
+
   console.log(`try: http://<pi-ip>:${PORT}/api/trip-update/jz`); //added this on 1/19/2026
+
+  console.log(`Try: http://<pi-ip>:${PORT}/api/arrivals/ace?stop=A27`);
+
+  console.log(`Try: http://<pi-ip>:${PORT}/api/stations/127/arrivals`);
+
+  console.log(`Try: http://<pi-ip>:${PORT}/api/alerts?route=A`);
+
+  console.log(`Try: http://<pi-ip>:${PORT}/api/vehicles?route=A`);
+
+  console.log(`Try: http://<pi-ip>:${PORT}/api/stream/stations/127`);
+
+  console.log(`Try: http://<pi-ip>:${PORT}/api/stops/near?lat=40.758&lon=-73.9855`);
+
+  console.log(`Try: http://<pi-ip>:${PORT}/api/trips/<trip_id>`);
+
+  console.log(`Try: http://<pi-ip>:${PORT}/api/lines/A/delays`);
+
+  console.log(`Try: http://<pi-ip>:${PORT}/api/lines/status`);
+
+  console.log(`Try: http://<pi-ip>:${PORT}/metrics`);
+
+  console.log(`Try: http://<pi-ip>:${PORT}/gtfsrt/merged.pb?route=A,C`);
+
+  if (archive) console.log(`Try: http://<pi-ip>:${PORT}/api/stats/headways?station=A27&line=A`);
 });
 
 
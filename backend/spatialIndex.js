@@ -0,0 +1,82 @@
+// Static 2-d tree over lat/lon points for nearest-neighbour lookups.
+//
+// Points are projected to a local flat plane (meters, equirectangular
+// around the data's mean latitude), which is accurate to well under 1%
+// at city scale. The search keeps a little slack and re-ranks the
+// candidates by haversine distance so near-ties come out right.
+
+import { distanceMeters } from "./geo.js";
+
+const M_PER_DEG_LAT = 110540;
+const M_PER_DEG_LON_EQ = 111320;
+const SLACK_CANDIDATES = 4;
+const SLACK_RADIUS = 1.02;
+
+function build(points, depth) {
+  if (!points.length) return null;
+  const axis = depth % 2;
+  points.sort((a, b) => a.xy[axis] - b.xy[axis]);
+  const mid = points.length >> 1;
+  return {
+    point: points[mid],
+    axis,
+    left: build(points.slice(0, mid), depth + 1),
+    right: build(points.slice(mid + 1), depth + 1),
+  };
+}
+
+// items: [{ lat, lon, ... }]; the item itself comes back in results
+export function createSpatialIndex(items) {
+  const valid = items.filter((it) => Number.isFinite(Number(it.lat)) && Number.isFinite(Number(it.lon)));
+  const lat0 = valid.reduce((sum, it) => sum + Number(it.lat), 0) / (valid.length || 1);
+  const kx = M_PER_DEG_LON_EQ * Math.cos((lat0 * Math.PI) / 180);
+
+  const project = (lat, lon) => [lon * kx, lat * M_PER_DEG_LAT];
+  const root = build(
+    valid.map((item) => ({ item, xy: project(Number(item.lat), Number(item.lon)) })),
+    0
+  );
+
+  // Up to `limit` items within `radius` meters, nearest first:
+  // [{ item, distance }]
+  function nearest(lat, lon, { limit = 10, radius = Infinity } = {}) {
+    const q = project(lat, lon);
+    const k = limit + SLACK_CANDIDATES;
+    const r = radius * SLACK_RADIUS;
+    const best = []; // sorted by planar distance, at most k
+    const worst = () => (best.length < k ? r : Math.min(r, best[best.length - 1].d));
+
+    function visit(node) {
+      if (!node) return;
+      const dx = node.point.xy[0] - q[0];
+      const dy = node.point.xy[1] - q[1];
+      const d = Math.hypot(dx, dy);
+
+      if (d <= worst()) {
+        let i = best.length;
+        while (i > 0 && best[i - 1].d > d) i--;
+        best.splice(i, 0, { d, point: node.point });
+        if (best.length > k) best.pop();
+      }
+
+      const diff = q[node.axis] - node.point.xy[node.axis];
+      const [near, far] = diff < 0 ? [node.left, node.right] : [node.right, node.left];
+      visit(near);
+      // only cross the split if the ball around q reaches it
+      if (Math.abs(diff) <= worst()) visit(far);
+    }
+
+    if (limit > 0) visit(root);
+
+    return best
+      .map(({ point }) => ({
+        item: point.item,
+        distance: distanceMeters(lat, lon, Number(point.item.lat), Number(point.item.lon)),
+      }))
+      .filter((x) => x.distance <= radius)
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, limit);
+  }
+
+  return { nearest, size: valid.length };
+}
@@ -0,0 +1,101 @@
+// Approximate train positions for NYCT vehicle entities.
+//
+// NYCT trains don't report GPS. A vehicle only tells us the stop it's
+// at or heading to (currentStatus + stopId), so we place it on the
+// route shape between the previous station and that stop.
+
+import { distanceMeters, bearingDegrees } from "./geo.js";
+
+const SNAP_RADIUS_M = 300; // station must be this close to the shape to count
+const AVG_SPEED_MPS = 8.5; // ~30 km/h incl. dwell, good enough to interpolate
+
+// route_shapes.json has one feature per route_id + direction_id
+// ("0" northbound, "1" southbound). For each, precompute cumulative
+// distance along the line and where each station falls on it.
+export function createShapeIndex({ shapes, stops, stationToLines, lineForRouteId }) {
+  const index = new Map();
+
+  for (const f of shapes?.features || []) {
+    const { route_id: routeId, direction_id: dir } = f.properties || {};
+    const coords = f.geometry?.coordinates || [];
+    if (!routeId || coords.length < 2) continue;
+
+    const cum = [0];
+    for (let i = 1; i < coords.length; i++) {
+      const [lon0, lat0] = coords[i - 1];
+      const [lon1, lat1] = coords[i];
+      cum.push(cum[i - 1] + distanceMeters(lat0, lon0, lat1, lon1));
+    }
+
+    const line = lineForRouteId(routeId);
+    const stations = [];
+
+    for (const s of stops) {
+      if (!(stationToLines[s.id] || []).includes(line)) continue;
+
+      let best = -1;
+      let bestDist = Infinity;
+      for (let i = 0; i < coords.length; i++) {
+        const d = distanceMeters(s.lat, s.lon, coords[i][1], coords[i][0]);
+        if (d < bestDist) {
+          bestDist = d;
+          best = i;
+        }
+      }
+      if (bestDist <= SNAP_RADIUS_M) stations.push({ id: s.id, idx: best, along: cum[best] });
+    }
+
+    stations.sort((a, b) => a.idx - b.idx);
+    index.set(`${routeId}|${dir}`, { coords, cum, stations });
+  }
+
+  return index;
+}
+
+// Point `along` meters down the shape, plus the heading there
+function pointAlong(shape, along) {
+  const { coords, cum } = shape;
+  let i = 1;
+  while (i < cum.length - 1 && cum[i] < along) i++;
+
+  const [lon0, lat0] = coords[i - 1];
+  const [lon1, lat1] = coords[i];
+  const seg = cum[i] - cum[i - 1];
+  const t = seg > 0 ? Math.min(1, Math.max(0, (along - cum[i - 1]) / seg)) : 0;
+
+  return {
+    lon: lon0 + (lon1 - lon0) * t,
+    lat: lat0 + (lat1 - lat0) * t,
+    bearing: Math.round(bearingDegrees(lat0, lon0, lat1, lon1)),
+  };
+}
+
+// status: STOPPED_AT | INCOMING_AT | IN_TRANSIT_TO
+// secondsUntil: predicted seconds to reach stationId, if the trip update has it
+export function locateVehicle(index, { routeId, direction, stationId, status, secondsUntil, fallback }) {
+  const dir = direction === "S" ? "1" : "0";
+  const shape = index.get(`${routeId}|${dir}`);
+  const pos = shape ? shape.stations.findIndex((s) => s.id === stationId) : -1;
+
+  // no geometry for this route/station: best we can do is the station itself
+  if (pos === -1) {
+    return fallback ? { lat: fallback.lat, lon: fallback.lon, bearing: null, approximate: true } : null;
+  }
+
+  const here = shape.stations[pos];
+  const prev = shape.stations[pos - 1];
+
+  if (status === "STOPPED_AT" || !prev) {
+    return { ...pointAlong(shape, here.along), approximate: status !== "STOPPED_AT" };
+  }
+
+  const segLen = here.along - prev.along;
+  let progress = 0.5;
+  if (Number.isFinite(secondsUntil) && segLen > 0) {
+    progress = 1 - secondsUntil / (segLen / AVG_SPEED_MPS);
+  }
+  if (status === "INCOMING_AT") progress = Math.max(progress, 0.85);
+  progress = Math.min(0.98, Math.max(0.02, progress));
+
+  return { ...pointAlong(shape, prev.along + segLen * progress), approximate: true };
+}
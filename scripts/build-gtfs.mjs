@@ -0,0 +1,269 @@
+// scripts/build-gtfs.mjs
+// One command for every GTFS -> JSON build (see scripts/gtfs/targets.mjs).
+//
+// Usage (from project root):
+//   node scripts/build-gtfs.mjs all
+//   node scripts/build-gtfs.mjs stops routes shapes
+//   node scripts/build-gtfs.mjs validate              (report only, build nothing)
+//   npm run build-gtfs -- all --force
+//   npm run build-gtfs -- all --gtfs ~/Downloads/google_transit.zip \
+//     --supplemented ~/Downloads/google_transit_supplemented.zip
+//
+// Options:
+//   --gtfs <path>  GTFS .txt directory, .zip, or directory of .zip files
+//                  (default ./gtfs); see scripts/gtfs/source.mjs
+//   --supplemented <path>
+//                  feed merged over --gtfs (planned service changes);
+//                  repeatable. Zips named *supplement* in a --gtfs
+//                  directory are picked up automatically.
+//   --out <dir>    where the JSON goes (default ./src/data)
+//   --public <dir> where fetched-at-runtime files go (default ./public/data)
+//   --force        rebuild even if nothing changed
+//   --fail-on <classes>
+//                  validation issue classes that stop the build:
+//                  comma-separated, "all" or "none" (default
+//                  references,sequence; see scripts/gtfs/validate.mjs)
+//   --no-validate  skip validation
+//   --report <dir> where validation-report.json/.txt go (default
+//                  ./gtfs/validation, git-ignored)
+//
+// Whenever something gets built the feed is validated first, and nothing
+// is written if an issue in a --fail-on class turns up. stop_times.txt is
+// only checked when a target being built reads it, or for `validate`.
+//
+// stop_times.txt is streamed once for all selected targets. A target is
+// skipped when its output exists and neither its input files nor the
+// build code changed since it was written (hashes are kept in
+// node_modules/.cache/build-gtfs.json).
+
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { hashFile as hashFileUncached, openSource } from "./gtfs/source.mjs";
+import { TARGETS } from "./gtfs/targets.mjs";
+import { FAIL_ON_DEFAULT, ISSUE_CLASSES, formatReport, startValidation } from "./gtfs/validate.mjs";
+
+const SCRIPT_DIR = path.dirname(fileURLToPath(import.meta.url));
+const BUILD_CODE = [
+  path.join(SCRIPT_DIR, "build-gtfs.mjs"),
+  path.join(SCRIPT_DIR, "gtfs", "reader.mjs"),
+  path.join(SCRIPT_DIR, "gtfs", "source.mjs"),
+  path.join(SCRIPT_DIR, "gtfs", "targets.mjs"),
+  path.join(SCRIPT_DIR, "gtfs", "validate.mjs"),
+  path.join(SCRIPT_DIR, "gtfs", "zip.mjs"),
+];
+const MANIFEST_PATH = path.resolve("node_modules/.cache/build-gtfs.json");
+const REPORT_DIR = path.resolve("gtfs/validation");
+// What validation reads, whatever targets are selected (plus stop_times.txt
+// when it is checked too)
+const VALIDATION_INPUTS = ["stops.txt", "routes.txt", "trips.txt"];
+
+function usage() {
+  console.error(
+    "Usage: node scripts/build-gtfs.mjs <all | validate | target ...> [--gtfs ./gtfs] [--supplemented <path>] [--out ./src/data] [--public ./public/data] [--force] [--fail-on references,sequence] [--no-validate] [--report <dir>]"
+  );
+  console.error(`Targets: ${Object.keys(TARGETS).join(", ")}`);
+  console.error(`Validation classes: ${ISSUE_CLASSES.join(", ")}`);
+  process.exit(1);
+}
+
+function parseArgs(argv) {
+  const opts = {
+    gtfsPath: path.resolve("gtfs"),
+    supplemented: [],
+    outDir: path.resolve("src/data"),
+    publicDir: path.resolve("public/data"),
+    force: false,
+    targets: [],
+    validate: "auto", // "auto" = when building, "always" (validate target), "never"
+    failOn: FAIL_ON_DEFAULT,
+    reportDir: REPORT_DIR,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--gtfs") opts.gtfsPath = path.resolve(argv[++i] || usage());
+    else if (a === "--supplemented") opts.supplemented.push(path.resolve(argv[++i] || usage()));
+    else if (a === "--out") opts.outDir = path.resolve(argv[++i] || usage());
+    else if (a === "--public") opts.publicDir = path.resolve(argv[++i] || usage());
+    else if (a === "--force") opts.force = true;
+    else if (a === "--no-validate") opts.validate = "never";
+    else if (a === "--fail-on") opts.failOn = parseFailOn(argv[++i] || usage());
+    else if (a === "--report") opts.reportDir = path.resolve(argv[++i] || usage());
+    else if (a === "validate") opts.validate = "always";
+    else if (a === "all") opts.targets.push(...Object.keys(TARGETS));
+    else if (TARGETS[a]) opts.targets.push(a);
+    else {
+      console.error(`Unknown target or option: ${a}`);
+      usage();
+    }
+  }
+
+  if (!opts.targets.length && opts.validate !== "always") usage();
+  opts.targets = [...new Set(opts.targets)];
+  return opts;
+}
+
+function parseFailOn(value) {
+  if (value === "none") return [];
+  if (value === "all") return [...ISSUE_CLASSES];
+  const classes = value.split(",").map((c) => c.trim()).filter(Boolean);
+  for (const c of classes) {
+    if (!ISSUE_CLASSES.includes(c)) {
+      console.error(`Unknown validation class: ${c}`);
+      usage();
+    }
+  }
+  return classes;
+}
+
+// ---- change detection ----
+const fileHashes = new Map();
+
+function hashFile(filePath) {
+  if (!fileHashes.has(filePath)) fileHashes.set(filePath, hashFileUncached(filePath));
+  return fileHashes.get(filePath);
+}
+
+async function fingerprint(name, target, source) {
+  const h = crypto.createHash("sha1").update(`${name}\n${target.output}\n${source.describe()}\n`);
+  for (const file of BUILD_CODE) h.update(await hashFile(file));
+  for (const input of target.inputs) h.update(`${input}:${await source.hash(input.replace(/\?$/, ""))}\n`);
+  return h.digest("hex");
+}
+
+function readManifest() {
+  try {
+    return JSON.parse(fs.readFileSync(MANIFEST_PATH, "utf8"));
+  } catch {
+    return {};
+  }
+}
+
+function writeManifest(manifest) {
+  fs.mkdirSync(path.dirname(MANIFEST_PATH), { recursive: true });
+  fs.writeFileSync(MANIFEST_PATH, JSON.stringify(manifest, null, 2));
+}
+
+// Chunked targets return { [fileName]: data } and own their whole output
+// directory, so chunks for stations that went away don't linger
+function writeChunks(dir, files) {
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.mkdirSync(dir, { recursive: true });
+  for (const [file, data] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, file), JSON.stringify(data), "utf8");
+  }
+}
+
+function writeReport(dir, report, sourceLabel) {
+  const text = formatReport(report, sourceLabel);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, "validation-report.json"), JSON.stringify({ source: sourceLabel, ...report }, null, 2));
+  fs.writeFileSync(path.join(dir, "validation-report.txt"), text + "\n");
+  console.log(text);
+  if (report.issues.length) console.log(`  Full report: ${path.join(dir, "validation-report.json")}`);
+}
+
+// ---- main ----
+async function main() {
+  const { gtfsPath, supplemented, outDir, publicDir, force, targets, validate, failOn, reportDir } = parseArgs(
+    process.argv.slice(2)
+  );
+  const source = openSource(gtfsPath, { supplemented });
+  console.log(`GTFS: ${source.describe()}`);
+
+  for (const name of targets) {
+    for (const input of TARGETS[name].inputs) {
+      if (!input.endsWith("?") && !source.has(input)) throw new Error(`Missing file: ${input} (in ${source.describe()})`);
+    }
+  }
+  // 1) Work out what actually needs building
+  const manifest = readManifest();
+  const todo = [];
+  for (const name of targets) {
+    const target = TARGETS[name];
+    const outPath = path.join(target.public ? publicDir : outDir, target.output);
+    const fp = await fingerprint(name, target, source);
+
+    if (!force && fs.existsSync(outPath) && manifest[outPath]?.fingerprint === fp) {
+      console.log(`= ${name}: ${target.output} is up to date`);
+      continue;
+    }
+    todo.push({ name, target, outPath, fp });
+  }
+  const runValidation = validate === "always" || (validate === "auto" && todo.length > 0);
+  if (!todo.length && !runValidation) return;
+
+  // stop_times.txt is the big one: only check it if it gets read anyway
+  const validateStopTimes =
+    validate === "always" || todo.some(({ target }) => target.inputs.includes("stop_times.txt"));
+  if (runValidation) {
+    for (const input of [...VALIDATION_INPUTS, ...(validateStopTimes ? ["stop_times.txt"] : [])]) {
+      if (!source.has(input)) throw new Error(`Missing file: ${input} (in ${source.describe()}); needed for validation`);
+    }
+  }
+
+  // 2) Shared tables, each read once however many targets use it
+  const tables = new Map();
+  const ctx = {
+    layers: source.layers,
+    readRows: (file, onRow) => source.readRows(file, onRow),
+    table(file) {
+      if (!tables.has(file)) tables.set(file, source.readTable(file));
+      return tables.get(file);
+    },
+    async optionalTable(file) {
+      return source.has(file) ? ctx.table(file) : null;
+    },
+  };
+
+  const validation = runValidation
+    ? { name: "validation", builder: await startValidation(ctx, { failOn, stopTimes: validateStopTimes }) }
+    : null;
+  const builds = [];
+  for (const job of todo) builds.push({ ...job, builder: await job.target.start(ctx) });
+
+  // 3) One pass over stop_times.txt for everyone who needs it
+  const streaming = [...(validation ? [validation] : []), ...builds].filter((b) => b.builder.onStopTime);
+  const consumers = streaming.map((b) => b.builder);
+  if (consumers.length) {
+    console.log(`Streaming stop_times.txt for ${streaming.map((b) => b.name).join(", ")}…`);
+    let seen = 0;
+    await source.readRows("stop_times.txt", (r) => {
+      for (const c of consumers) c.onStopTime(r);
+      seen++;
+      if (seen % 500000 === 0) console.log(`...processed ${seen.toLocaleString()} rows`);
+    });
+  }
+
+  // 4) Validation gate: a failing feed writes nothing but the report
+  if (validation) {
+    const report = await validation.builder.finish();
+    writeReport(reportDir, report, source.describe());
+    if (report.failed) {
+      throw new Error(
+        `GTFS validation failed; see ${path.join(reportDir, "validation-report.txt")} (--fail-on picks which classes fail the build)`
+      );
+    }
+  }
+
+  // 5) Write outputs
+  for (const { name, target, outPath, fp, builder } of builds) {
+    const data = await builder.finish();
+    if (target.chunked) writeChunks(outPath, data);
+    else {
+      fs.mkdirSync(path.dirname(outPath), { recursive: true });
+      fs.writeFileSync(outPath, target.pretty ? JSON.stringify(data, null, 2) : JSON.stringify(data), "utf8");
+    }
+    manifest[outPath] = { fingerprint: fp, built_at: new Date().toISOString() };
+    console.log(`✅ ${name}: wrote ${outPath}`);
+  }
+
+  writeManifest(manifest);
+}
+
+main().catch((err) => {
+  console.error("❌ build-gtfs failed:", err.message || err);
+  process.exit(1);
+});
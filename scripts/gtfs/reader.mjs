@@ -0,0 +1,106 @@
+// scripts/gtfs/reader.mjs
+// Streaming GTFS (CSV) reader shared by every build target.
+//
+// Handles the parts of RFC 4180 GTFS feeds actually use: quoted fields,
+// commas and newlines inside quotes, "" as an escaped quote, CRLF line
+// endings and a UTF-8 BOM on the header. Lines without quotes take a fast
+// split(",") path, which is nearly all of stop_times.txt.
+
+import fs from "node:fs";
+import readline from "node:readline";
+
+// ---- CSV ----
+export function parseCSVLine(line) {
+  const out = [];
+  let cur = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+
+    if (inQuotes) {
+      if (ch === '"') {
+        // "" inside a quoted field is a literal quote
+        if (line[i + 1] === '"') {
+          cur += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        cur += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ",") {
+      out.push(cur);
+      cur = "";
+    } else {
+      cur += ch;
+    }
+  }
+  out.push(cur);
+  return out;
+}
+
+function countQuotes(s) {
+  let n = 0;
+  for (let i = s.indexOf('"'); i !== -1; i = s.indexOf('"', i + 1)) n++;
+  return n;
+}
+
+// Calls onRow({ column: value, ... }) for every record, in file order.
+// input is a file path or a text stream (e.g. a zip entry, see source.mjs).
+// onRow is synchronous on purpose: awaiting per row would make
+// stop_times.txt several times slower. Resolves to the row count.
+export async function readGTFS(input, onRow) {
+  const rl = readline.createInterface({
+    input: typeof input === "string" ? fs.createReadStream(input, { encoding: "utf8" }) : input,
+    crlfDelay: Infinity,
+  });
+  const label = typeof input === "string" ? input : input.path || "GTFS table";
+
+  let headers = null;
+  let pending = null; // a record whose quoted field spans lines
+  let count = 0;
+
+  for await (const rawLine of rl) {
+    let line = rawLine;
+
+    if (pending !== null) {
+      line = `${pending}\n${line}`;
+      pending = null;
+    }
+
+    const quotes = line.includes('"') ? countQuotes(line) : 0;
+    if (quotes % 2 === 1) {
+      pending = line;
+      continue;
+    }
+
+    if (!headers) {
+      if (!line.trim()) continue;
+      headers = (quotes ? parseCSVLine(line) : line.split(",")).map((h) => h.replace(/^\uFEFF/, "").trim());
+      continue;
+    }
+    if (!line.trim()) continue;
+
+    const vals = quotes ? parseCSVLine(line) : line.split(",");
+    const row = {};
+    for (let i = 0; i < headers.length; i++) row[headers[i]] = vals[i] ?? "";
+    onRow(row);
+    count++;
+  }
+
+  if (pending !== null) throw new Error(`${label}: unterminated quoted field`);
+  return count;
+}
+
+// "25:10:00" -> 90600; GTFS times can pass 24:00:00
+export function timeToSeconds(t) {
+  const s = (t || "").trim();
+  if (!s) return null;
+  const [h, m, sec] = s.split(":").map((x) => parseInt(x, 10));
+  if (![h, m].every(Number.isFinite)) return null;
+  return h * 3600 + m * 60 + (sec || 0);
+}
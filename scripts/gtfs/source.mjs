@@ -0,0 +1,189 @@
+// scripts/gtfs/source.mjs
+// Where GTFS tables come from: a directory of .txt files, a .zip, or a
+// directory of .zip files. Several feeds can be stacked; later layers
+// override earlier ones. That's how the MTA "supplemented" feed (regular
+// service plus planned changes for the coming days) goes over the regular
+// one: a row replaces every row with the same MERGE_KEYS key below it, so a
+// trip rerouted in the supplement brings its own stop_times and the old
+// ones drop out. Trips go further: a supplement owns every trip of the
+// service_ids it runs, so regular trips of those services it leaves out
+// (cancelled for planned work) are dropped, stop_times and all.
+
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { readGTFS } from "./reader.mjs";
+import { openZip } from "./zip.mjs";
+
+// Tables without a key here (feed_info.txt, ...) come from the top layer that has them
+const MERGE_KEYS = {
+  "agency.txt": (r) => r.agency_id,
+  "stops.txt": (r) => r.stop_id,
+  "routes.txt": (r) => r.route_id,
+  "trips.txt": (r) => r.trip_id,
+  "stop_times.txt": (r) => r.trip_id,
+  "shapes.txt": (r) => r.shape_id,
+  "calendar.txt": (r) => r.service_id,
+  "calendar_dates.txt": (r) => `${r.service_id}|${r.date}`,
+  "transfers.txt": (r) => `${r.from_stop_id}|${r.to_stop_id}`,
+};
+
+// Tables whose rows belong to a trip (see replacedTrips)
+const TRIP_TABLES = new Set(["trips.txt", "stop_times.txt"]);
+
+// Zips in a feed directory with this in the name go on top of the others
+const SUPPLEMENT_RE = /supplement/i;
+
+export function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    if (!fs.existsSync(filePath)) return resolve("missing");
+    const h = crypto.createHash("sha1");
+    fs.createReadStream(filePath)
+      .on("data", (chunk) => h.update(chunk))
+      .on("end", () => resolve(h.digest("hex")))
+      .on("error", reject);
+  });
+}
+
+function dirLayer(dir, role) {
+  const hashes = new Map();
+  const modified = fs
+    .readdirSync(dir)
+    .filter((f) => f.endsWith(".txt"))
+    .map((f) => fs.statSync(path.join(dir, f)).mtime.toISOString().slice(0, 19))
+    .sort()
+    .pop();
+
+  return {
+    name: path.basename(dir),
+    path: dir,
+    role,
+    modified: modified || null,
+    has: (file) => fs.existsSync(path.join(dir, file)),
+    stream: (file) => fs.createReadStream(path.join(dir, file), { encoding: "utf8" }),
+    hash(file) {
+      if (!hashes.has(file)) hashes.set(file, hashFile(path.join(dir, file)));
+      return hashes.get(file);
+    },
+  };
+}
+
+function zipLayer(file, role) {
+  const zip = openZip(file);
+  const modified = [...zip.entries.values()].map((e) => e.modified).sort().pop();
+
+  return {
+    name: path.basename(file),
+    path: file,
+    role,
+    modified: modified || null,
+    has: (name) => zip.has(name),
+    stream: (name) => zip.stream(name).setEncoding("utf8"),
+    // the archive already has a CRC per entry; no need to inflate to hash
+    async hash(name) {
+      const e = zip.entries.get(name);
+      return e ? `${e.crc.toString(16)}:${e.size}` : "missing";
+    },
+  };
+}
+
+// A directory, a .zip, or a directory of .zip files -> layers, bottom first
+function layersAt(location, role) {
+  if (!fs.existsSync(location)) throw new Error(`Missing GTFS source: ${location}`);
+  if (!fs.statSync(location).isDirectory()) return [zipLayer(location, role)];
+
+  const zips = fs
+    .readdirSync(location)
+    .filter((f) => f.toLowerCase().endsWith(".zip"))
+    .sort();
+  if (!zips.length) return [dirLayer(location, role)];
+
+  const base = zips.filter((f) => !SUPPLEMENT_RE.test(f));
+  const supplements = zips.filter((f) => SUPPLEMENT_RE.test(f));
+  return [
+    ...base.map((f) => zipLayer(path.join(location, f), role)),
+    ...supplements.map((f) => zipLayer(path.join(location, f), "supplemented")),
+  ];
+}
+
+// location: --gtfs; supplemented: --supplemented locations stacked on top
+export function openSource(location, { supplemented = [] } = {}) {
+  const layers = [
+    ...layersAt(location, "regular"),
+    ...supplemented.flatMap((loc) => layersAt(loc, "supplemented")),
+  ];
+
+  function has(file) {
+    return layers.some((l) => l.has(file));
+  }
+
+  // layer -> trip_ids it loses to a supplemented layer above it: trips of
+  // a service_id that the supplement has trips for. Read once, top down.
+  let replaced = null;
+  function replacedTrips() {
+    if (!replaced) {
+      replaced = (async () => {
+        const out = new Map();
+        const covered = new Set(); // service_ids run by supplements above
+        for (const layer of [...layers].reverse()) {
+          if (!layer.has("trips.txt")) continue;
+          const lost = new Set();
+          const services = new Set();
+          await readGTFS(layer.stream("trips.txt"), (r) => {
+            if (covered.has(r.service_id)) lost.add(r.trip_id);
+            services.add(r.service_id);
+          });
+          out.set(layer, lost);
+          if (layer.role === "supplemented") for (const s of services) covered.add(s);
+        }
+        return out;
+      })();
+    }
+    return replaced;
+  }
+
+  // Every row of the merged table, top layer first. Resolves to the row count.
+  async function readRows(file, onRow) {
+    const withFile = layers.filter((l) => l.has(file)).reverse();
+    if (!withFile.length) throw new Error(`Missing file: ${file} (in ${describe()})`);
+
+    const keyOf = MERGE_KEYS[file];
+    if (!keyOf) return readGTFS(withFile[0].stream(file), onRow);
+
+    const claimed = new Set(); // keys owned by a layer above
+    const lostTrips = TRIP_TABLES.has(file) ? await replacedTrips() : null;
+    let count = 0;
+    for (const layer of withFile) {
+      const mine = new Set();
+      const lost = lostTrips?.get(layer);
+      await readGTFS(layer.stream(file), (r) => {
+        const key = keyOf(r);
+        if (claimed.has(key) || lost?.has(r.trip_id)) return;
+        mine.add(key);
+        onRow(r);
+        count++;
+      });
+      for (const key of mine) claimed.add(key);
+    }
+    return count;
+  }
+
+  async function readTable(file) {
+    const rows = [];
+    await readRows(file, (r) => rows.push(r));
+    return rows;
+  }
+
+  // Changes whenever the file changes in any layer
+  async function hash(file) {
+    const parts = [];
+    for (const l of layers) parts.push(`${l.name}:${await l.hash(file)}`);
+    return parts.join(",");
+  }
+
+  function describe() {
+    return layers.map((l) => (l.role === "regular" ? l.path : `${l.path} (${l.role})`)).join(" + ");
+  }
+
+  return { layers, has, readRows, readTable, hash, describe };
+}
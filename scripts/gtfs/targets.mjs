@@ -0,0 +1,521 @@
+// scripts/gtfs/targets.mjs
+// Build targets for scripts/build-gtfs.mjs. Each one turns GTFS tables
+// into one JSON file in src/data.
+//
+//   output   file name in the output dir
+//   inputs   GTFS files it reads ("name?" = optional); used to skip
+//            targets whose inputs haven't changed
+//   pretty   indent the JSON (small files that get diffed in git)
+//   public   write under --public (fetched by the app at runtime) instead
+//            of --out (bundled / read by the backend)
+//   chunked  output is a directory; finish() returns { [fileName]: data }
+//   start(ctx) -> { onStopTime?(row), finish() -> data }
+//
+// ctx.table(file) / ctx.optionalTable(file) give whole (merged) tables,
+// ctx.readRows(file, onRow) streams one, ctx.layers are the feeds it was
+// merged from (see source.mjs).
+//
+// Targets that need stop_times.txt get its rows through onStopTime, so
+// the runner streams it once no matter how many of them are selected.
+
+import crypto from "node:crypto";
+import { readGTFS, timeToSeconds } from "./reader.mjs";
+
+const LINE_COLORS = {
+  "1": "#EE352E",
+  "2": "#EE352E",
+  "3": "#EE352E",
+  "4": "#00933C",
+  "5": "#00933C",
+  "6": "#00933C",
+  "7": "#B933AD",
+  A: "#0039A6",
+  C: "#0039A6",
+  E: "#0039A6",
+  B: "#FF6319",
+  D: "#FF6319",
+  F: "#FF6319",
+  M: "#FF6319",
+  N: "#FCCC0A",
+  Q: "#FCCC0A",
+  R: "#FCCC0A",
+  W: "#FCCC0A",
+  J: "#996633",
+  Z: "#996633",
+  L: "#A7A9AC",
+  S: "#808183",
+};
+
+// ---- shared lookups ----
+// stop_id -> parent_station (or itself)
+async function stopToStation(ctx) {
+  const map = new Map();
+  for (const r of await ctx.table("stops.txt")) {
+    map.set(r.stop_id, r.parent_station && r.parent_station.length ? r.parent_station : r.stop_id);
+  }
+  return map;
+}
+
+// route_id -> upper-cased route_short_name (J/A/1), routes without one skipped
+async function routeIdToLine(ctx, { subwayOnly = false } = {}) {
+  let routes = await ctx.table("routes.txt");
+  // NYCT subway is route_type 1; keep everything if the column is missing
+  if (subwayOnly && routes.some((r) => r.route_type !== undefined)) {
+    routes = routes.filter((r) => String(r.route_type) === "1");
+  }
+
+  const map = new Map();
+  for (const r of routes) {
+    const short = (r.route_short_name || "").trim();
+    if (r.route_id && short) map.set(r.route_id, short.toUpperCase());
+  }
+  return map;
+}
+
+// calendar.txt + calendar_dates.txt ->
+//   services: { [service_id]: { days: [mon..sun as 0/1], start, end } }
+//   dates:    { [YYYYMMDD]: { add: [service_id], remove: [service_id] } }
+// Either file may be missing; holiday-only feeds use just calendar_dates.
+async function serviceCalendar(ctx) {
+  const calendar = await ctx.optionalTable("calendar.txt");
+  const exceptions = await ctx.optionalTable("calendar_dates.txt");
+  if (!calendar && !exceptions) console.warn("No calendar.txt or calendar_dates.txt; service patterns will be empty.");
+
+  const DAYS = ["monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday"];
+  const services = {};
+  for (const c of calendar || []) {
+    if (!c.service_id) continue;
+    services[c.service_id] = {
+      days: DAYS.map((d) => (String(c[d]).trim() === "1" ? 1 : 0)),
+      start: (c.start_date || "").trim(),
+      end: (c.end_date || "").trim(),
+    };
+  }
+
+  // exception_type 1 = service added that day, 2 = removed
+  const dates = {};
+  for (const e of exceptions || []) {
+    const date = (e.date || "").trim();
+    const type = String(e.exception_type).trim();
+    if (!e.service_id || !date || (type !== "1" && type !== "2")) continue;
+    const day = (dates[date] ||= { add: [], remove: [] });
+    day[type === "1" ? "add" : "remove"].push(e.service_id);
+  }
+
+  return { services, dates };
+}
+
+// One layer's own copy of a table, before merging
+async function layerTable(layer, file) {
+  const rows = [];
+  if (layer.has(file)) await readGTFS(layer.stream(file), (r) => rows.push(r));
+  return rows;
+}
+
+// First and last YYYYMMDD a layer has service on
+async function layerDateRange(layer) {
+  const dates = [];
+  for (const c of await layerTable(layer, "calendar.txt")) dates.push(c.start_date, c.end_date);
+  for (const d of await layerTable(layer, "calendar_dates.txt")) {
+    if (String(d.exception_type).trim() === "1") dates.push(d.date);
+  }
+  const valid = dates.map((d) => (d || "").trim()).filter((d) => /^\d{8}$/.test(d)).sort();
+  return { start: valid[0] || null, end: valid[valid.length - 1] || null };
+}
+
+function tripKey(tripId) {
+  const m = /_(\d{6}_.+)$/.exec(tripId);
+  return m ? m[1] : tripId;
+}
+
+// ---- targets ----
+export const TARGETS = {
+  // parent stations only (location_type=1), or every stop if none are marked
+  stops: {
+    output: "stops.json",
+    inputs: ["stops.txt"],
+    pretty: true,
+    async start(ctx) {
+      const stops = await ctx.table("stops.txt");
+      return {
+        finish() {
+          let stations = stops.filter((s) => String(s.location_type || "") === "1");
+          if (stations.length === 0) stations = stops;
+
+          return stations.map((s) => ({
+            id: s.stop_id,
+            name: s.stop_name,
+            lat: Number(s.stop_lat),
+            lon: Number(s.stop_lon),
+          }));
+        },
+      };
+    },
+  },
+
+  routes: {
+    output: "routes.json",
+    inputs: ["routes.txt"],
+    pretty: true,
+    async start(ctx) {
+      let routes = await ctx.table("routes.txt");
+      if (routes.some((r) => r.route_type !== undefined)) routes = routes.filter((r) => String(r.route_type) === "1");
+
+      return {
+        finish() {
+          return routes.map((r) => {
+            const shortName = (r.route_short_name || "").trim();
+            return {
+              route_id: r.route_id,
+              short_name: shortName || r.route_id,
+              long_name: r.route_long_name || "",
+              color: r.route_color || "",
+              text_color: r.route_text_color || "",
+            };
+          });
+        },
+      };
+    },
+  },
+
+  // stop_id (platform) -> subway lines stopping there
+  stop_to_routes: {
+    output: "stop_to_routes.json",
+    inputs: ["routes.txt", "trips.txt", "stop_times.txt"],
+    pretty: true,
+    async start(ctx) {
+      const routeLine = await routeIdToLine(ctx, { subwayOnly: true });
+      const tripToLine = new Map();
+      for (const t of await ctx.table("trips.txt")) {
+        const line = routeLine.get(t.route_id);
+        if (t.trip_id && line) tripToLine.set(t.trip_id, line);
+      }
+
+      const sets = new Map();
+      return {
+        onStopTime(r) {
+          const line = tripToLine.get(r.trip_id);
+          if (!line || !r.stop_id) return;
+          if (!sets.has(r.stop_id)) sets.set(r.stop_id, new Set());
+          sets.get(r.stop_id).add(line);
+        },
+        finish() {
+          const out = {};
+          for (const [stopId, set] of sets) out[stopId] = [...set].sort();
+          return out;
+        },
+      };
+    },
+  },
+
+  // parent station -> every line stopping there
+  station_to_lines: {
+    output: "station_to_lines.json",
+    inputs: ["stops.txt", "routes.txt", "trips.txt", "stop_times.txt"],
+    pretty: true,
+    async start(ctx) {
+      const stations = await stopToStation(ctx);
+      const routeLine = await routeIdToLine(ctx);
+      const tripToLine = new Map();
+      for (const t of await ctx.table("trips.txt")) {
+        const line = routeLine.get(t.route_id);
+        if (t.trip_id && line) tripToLine.set(t.trip_id, line);
+      }
+
+      const sets = new Map();
+      return {
+        onStopTime(r) {
+          const line = tripToLine.get(r.trip_id);
+          if (!line) return;
+          const stationId = stations.get(r.stop_id) || r.stop_id;
+          if (!sets.has(stationId)) sets.set(stationId, new Set());
+          sets.get(stationId).add(line);
+        },
+        finish() {
+          const out = {};
+          for (const [stationId, set] of sets) out[stationId] = [...set].sort();
+          return out;
+        },
+      };
+    },
+  },
+
+  // parent station -> every station in its complex, itself included (only
+  // stations that share a complex with another). GTFS splits complexes
+  // like Times Sq-42 St / 42 St-Port Authority into one parent station
+  // per trunk line; transfers.txt links them, so a complex is a connected
+  // group of transfers between different stations.
+  station_complexes: {
+    output: "station_complexes.json",
+    inputs: ["stops.txt", "transfers.txt"],
+    pretty: true,
+    async start(ctx) {
+      const stations = await stopToStation(ctx);
+      const transfers = await ctx.table("transfers.txt");
+
+      // union-find over parent station ids
+      const parent = new Map();
+      const find = (id) => {
+        while (parent.has(id) && parent.get(id) !== id) id = parent.get(id);
+        return id;
+      };
+      for (const t of transfers) {
+        const a = find(stations.get(t.from_stop_id) || t.from_stop_id);
+        const b = find(stations.get(t.to_stop_id) || t.to_stop_id);
+        if (!a || !b || a === b) continue;
+        parent.set(a, a);
+        parent.set(b, a);
+      }
+
+      return {
+        finish() {
+          const groups = new Map();
+          for (const id of parent.keys()) {
+            const root = find(id);
+            if (!groups.has(root)) groups.set(root, []);
+            groups.get(root).push(id);
+          }
+
+          const out = {};
+          for (const members of groups.values()) {
+            members.sort();
+            for (const id of members) out[id] = members;
+          }
+          return Object.fromEntries(Object.entries(out).sort(([a], [b]) => (a < b ? -1 : 1)));
+        },
+      };
+    },
+  },
+
+  // Every scheduled arrival, split by service pattern so the app can pick
+  // the ones running today, one file per station so it only fetches what
+  // it shows. Times are seconds after service-day start (may pass 86400).
+  //   index.json   { version, services, dates, stations: [station ids] }
+  //   <station>.json   { [line]: { [headsign]: { [service_id]: [seconds] } } }
+  // version changes whenever any chunk does; the app keys its cache on it.
+  arrivals: {
+    output: "schedules",
+    public: true,
+    chunked: true,
+    inputs: ["stops.txt", "routes.txt", "trips.txt", "stop_times.txt", "calendar.txt?", "calendar_dates.txt?"],
+    async start(ctx) {
+      const { services, dates } = await serviceCalendar(ctx);
+      const stations = await stopToStation(ctx);
+      const routeLine = await routeIdToLine(ctx);
+      const tripInfo = new Map();
+      for (const t of await ctx.table("trips.txt")) {
+        const line = routeLine.get(t.route_id);
+        const headsign = (t.trip_headsign || "").trim();
+        if (t.trip_id && line && headsign) tripInfo.set(t.trip_id, { line, headsign, serviceId: t.service_id || "" });
+      }
+
+      const out = {};
+      return {
+        onStopTime(r) {
+          const time = timeToSeconds(r.arrival_time);
+          const info = tripInfo.get(r.trip_id);
+          if (time === null || !info) return;
+
+          const stationId = stations.get(r.stop_id) || r.stop_id;
+          const byLine = (out[stationId] ||= {});
+          const byHeadsign = (byLine[info.line] ||= {});
+          const byService = (byHeadsign[info.headsign] ||= {});
+          (byService[info.serviceId] ||= []).push(time);
+        },
+        finish() {
+          const files = {};
+          const version = crypto.createHash("sha1").update(JSON.stringify({ services, dates }));
+          for (const stationId of Object.keys(out).sort()) {
+            for (const byHeadsign of Object.values(out[stationId])) {
+              for (const byService of Object.values(byHeadsign)) {
+                for (const times of Object.values(byService)) times.sort((a, b) => a - b);
+              }
+            }
+            files[`${stationId}.json`] = out[stationId];
+            version.update(`${stationId}\n${JSON.stringify(out[stationId])}\n`);
+          }
+
+          files["index.json"] = {
+            version: version.digest("hex").slice(0, 12),
+            services,
+            dates,
+            stations: Object.keys(out).sort(),
+          };
+          return files;
+        },
+      };
+    },
+  },
+
+  // GeoJSON, one LineString per route + direction: the shape most trips use
+  shapes: {
+    output: "route_shapes.json",
+    inputs: ["routes.txt", "trips.txt", "shapes.txt"],
+    async start(ctx) {
+      const routeIdToShort = new Map();
+      for (const r of await ctx.table("routes.txt")) {
+        const short = (r.route_short_name || "").trim();
+        if (r.route_id) routeIdToShort.set(r.route_id, short || r.route_id);
+      }
+
+      // route_id|direction_id -> shape_id -> trip count
+      const counts = new Map();
+      for (const t of await ctx.table("trips.txt")) {
+        if (!t.route_id || !t.shape_id) continue;
+        const dir = (t.direction_id ?? "").trim() || "0";
+        const rd = `${t.route_id}|${dir}`;
+        if (!counts.has(rd)) counts.set(rd, new Map());
+        const byShape = counts.get(rd);
+        byShape.set(t.shape_id, (byShape.get(t.shape_id) || 0) + 1);
+      }
+
+      const best = new Map(); // route_id|dir -> { shape_id, count }
+      for (const [rd, byShape] of counts) {
+        for (const [shape_id, count] of byShape) {
+          if (!best.has(rd) || count > best.get(rd).count) best.set(rd, { shape_id, count });
+        }
+      }
+
+      return {
+        async finish() {
+          const chosen = new Set([...best.values()].map((x) => x.shape_id));
+          const shapePoints = new Map(); // shape_id -> [{ seq, lat, lon }]
+
+          await ctx.readRows("shapes.txt", (s) => {
+            if (!chosen.has(s.shape_id)) return;
+            const lat = Number(s.shape_pt_lat);
+            const lon = Number(s.shape_pt_lon);
+            const seq = Number(s.shape_pt_sequence);
+            if (!Number.isFinite(lat) || !Number.isFinite(lon) || !Number.isFinite(seq)) return;
+
+            if (!shapePoints.has(s.shape_id)) shapePoints.set(s.shape_id, []);
+            shapePoints.get(s.shape_id).push({ seq, lat, lon });
+          });
+
+          const features = [];
+          for (const [rd, { shape_id, count }] of best) {
+            const [route_id, dir] = rd.split("|");
+            const pts = (shapePoints.get(shape_id) || []).sort((a, b) => a.seq - b.seq);
+            if (pts.length < 2) continue;
+
+            const short = String(routeIdToShort.get(route_id) || route_id).trim();
+            features.push({
+              type: "Feature",
+              geometry: { type: "LineString", coordinates: pts.map((p) => [p.lon, p.lat]) },
+              properties: {
+                route_id,
+                route_short_name: short,
+                direction_id: dir, // "0" or "1"
+                shape_id,
+                color: LINE_COLORS[short.toUpperCase()] || "#999999",
+                trips_sampled: count,
+              },
+            });
+          }
+
+          // by route, then direction
+          features.sort((a, b) => {
+            const ra = a.properties.route_short_name;
+            const rb = b.properties.route_short_name;
+            if (ra !== rb) return ra < rb ? -1 : 1;
+            return Number(a.properties.direction_id) - Number(b.properties.direction_id);
+          });
+
+          return { type: "FeatureCollection", features };
+        },
+      };
+    },
+  },
+
+  // Per-trip scheduled stop times for the backend (trip detail, delays).
+  //   { services, dates,   (see serviceCalendar)
+  //     trips: { [tripKey]: [{ service_id, route_id, headsign, stops: [[stop_id, arr_sec, dep_sec], ...] }] } }
+  // tripKey is the part of the static trip_id NYCT uses in GTFS-RT
+  // ("AFA25GEN-1037-Weekday-00_000600_1..S03R" -> "000600_1..S03R").
+  // Not committed (tens of MB); the backend runs without it.
+  schedules: {
+    output: "trip_schedules.json",
+    inputs: ["trips.txt", "stop_times.txt", "calendar.txt?", "calendar_dates.txt?"],
+    async start(ctx) {
+      const { services, dates } = await serviceCalendar(ctx);
+
+      const tripsById = new Map();
+      for (const t of await ctx.table("trips.txt")) {
+        if (!t.trip_id) continue;
+        tripsById.set(t.trip_id, {
+          service_id: t.service_id || "",
+          route_id: t.route_id || "",
+          headsign: (t.trip_headsign || "").trim(),
+          stops: [],
+        });
+      }
+
+      return {
+        onStopTime(r) {
+          const trip = tripsById.get(r.trip_id);
+          if (!trip || !r.stop_id) return;
+          const arr = timeToSeconds(r.arrival_time);
+          const dep = timeToSeconds(r.departure_time);
+          trip.stops.push([r.stop_id, arr ?? dep, dep ?? arr, Number(r.stop_sequence)]);
+        },
+        finish() {
+          const trips = {};
+          for (const [tripId, t] of tripsById) {
+            if (!t.stops.length) continue;
+            t.stops.sort((a, b) => a[3] - b[3]);
+            (trips[tripKey(tripId)] ||= []).push({
+              service_id: t.service_id,
+              route_id: t.route_id,
+              headsign: t.headsign,
+              stops: t.stops.map(([stopId, arr, dep]) => [stopId, arr, dep]),
+            });
+          }
+          return { services, dates, trips };
+        },
+      };
+    },
+  },
+
+  // Which schedule this build is: version and dates of every feed merged
+  // into it, so the app can show what it's running.
+  //   { version, start_date, end_date,
+  //     feeds: [{ file, role, publisher, version, start_date, end_date, modified }] }
+  // version is feed_info.txt's feed_version, or the feed's file date
+  // (MTA zips don't always ship feed_info.txt).
+  feed_info: {
+    output: "feed_info.json",
+    public: true,
+    pretty: true,
+    inputs: ["feed_info.txt?", "calendar.txt?", "calendar_dates.txt?"],
+    async start(ctx) {
+      const feeds = [];
+      for (const layer of ctx.layers) {
+        const info = (await layerTable(layer, "feed_info.txt"))[0] || {};
+        const range = await layerDateRange(layer);
+        feeds.push({
+          file: layer.name,
+          role: layer.role,
+          publisher: (info.feed_publisher_name || "").trim() || null,
+          version: (info.feed_version || "").trim() || layer.modified?.slice(0, 10) || null,
+          start_date: (info.feed_start_date || "").trim() || range.start,
+          end_date: (info.feed_end_date || "").trim() || range.end,
+          modified: layer.modified,
+        });
+      }
+
+      return {
+        finish() {
+          const starts = feeds.map((f) => f.start_date).filter(Boolean).sort();
+          const ends = feeds.map((f) => f.end_date).filter(Boolean).sort();
+          return {
+            version: feeds.map((f) => f.version || "unknown").join(" + "),
+            start_date: starts[0] || null,
+            end_date: ends[ends.length - 1] || null,
+            built_at: new Date().toISOString(),
+            feeds,
+          };
+        },
+      };
+    },
+  },
+};
@@ -0,0 +1,279 @@
+// scripts/gtfs/validate.mjs
+// Checks a (merged) GTFS feed before anything is built from it. The build
+// targets skip rows they can't use; this says how many there were and why.
+//
+// Every issue has a code and a class. The runner fails the build when an
+// issue's class is in --fail-on (default FAIL_ON_DEFAULT); the rest are
+// reported only.
+//
+//   references  ids that point nowhere (trip -> route, stop_time -> stop, ...)
+//   sequence    stop_sequence / time order within a trip
+//   speed       consecutive stops too far apart for the scheduled time
+//   duplicates  repeated ids, stations listed twice
+//   calendar    service patterns that can never run
+//   content     empty headsigns, trips without stop times
+
+import { timeToSeconds } from "./reader.mjs";
+
+export const ISSUE_CLASSES = ["references", "sequence", "speed", "duplicates", "calendar", "content"];
+export const FAIL_ON_DEFAULT = ["references", "sequence"];
+
+const MAX_EXAMPLES = 5;
+// Faster than any NYC train; leaves room for minute-rounded times
+const MAX_SPEED_KMH = 130;
+const MIN_HOP_SEC = 30;
+// Same-named stations closer than this are probably one station twice.
+// NYC complexes list each line's station separately, sometimes at the
+// same coordinates (145 St A12 / D13), which is why "duplicates" only
+// warns by default.
+const DUPLICATE_STATION_M = 25;
+
+const CHECKS = {
+  unknown_route: ["references", "trips.txt route_id not in routes.txt"],
+  unknown_service: ["references", "trips.txt service_id not in calendar.txt or calendar_dates.txt"],
+  unknown_shape: ["references", "trips.txt shape_id not in shapes.txt"],
+  unknown_trip: ["references", "stop_times.txt trip_id not in trips.txt"],
+  unknown_stop: ["references", "stop_times.txt stop_id not in stops.txt"],
+  unknown_parent_station: ["references", "stops.txt parent_station not in stops.txt"],
+  duplicate_stop_sequence: ["sequence", "Trip visits the same stop_sequence twice"],
+  stop_sequence_out_of_order: ["sequence", "stop_times rows for a trip are not in stop_sequence order"],
+  time_goes_backwards: ["sequence", "Arrival earlier than the previous stop's departure"],
+  missing_endpoint_time: ["sequence", "First or last stop of a trip has no arrival/departure time"],
+  impossible_speed: ["speed", `Faster than ${MAX_SPEED_KMH} km/h between consecutive stops`],
+  duplicate_id: ["duplicates", "Primary key appears more than once"],
+  duplicate_station: ["duplicates", `Stations with the same name within ${DUPLICATE_STATION_M} m`],
+  invalid_service_dates: ["calendar", "calendar.txt end_date before start_date, or not YYYYMMDD"],
+  service_never_runs: ["calendar", "Service has no days in calendar.txt and no added dates"],
+  empty_headsign: ["content", "Trip has no trip_headsign"],
+  trip_without_stop_times: ["content", "Trip has no rows in stop_times.txt"],
+};
+
+function distanceMeters(aLat, aLon, bLat, bLon) {
+  const R = 6371000;
+  const toRad = (d) => (d * Math.PI) / 180;
+  const dLat = toRad(bLat - aLat);
+  const dLon = toRad(bLon - aLon);
+  const x = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(aLat)) * Math.cos(toRad(bLat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * R * Math.atan2(Math.sqrt(x), Math.sqrt(1 - x));
+}
+
+// failOn: classes that make report.failed true
+// stopTimes: false skips every stop_times.txt check, for builds that don't
+// read that file anyway
+export async function startValidation(ctx, { failOn = FAIL_ON_DEFAULT, stopTimes = true } = {}) {
+  const found = new Map(); // code -> { code, class, message, count, examples }
+  function warn(code, example) {
+    if (!found.has(code)) {
+      const [cls, message] = CHECKS[code];
+      found.set(code, { code, class: cls, message, count: 0, examples: [] });
+    }
+    const w = found.get(code);
+    w.count++;
+    if (example && w.examples.length < MAX_EXAMPLES && !w.examples.includes(example)) w.examples.push(example);
+  }
+
+  function checkDuplicateIds(file, rows, keyOf) {
+    const seen = new Set();
+    for (const r of rows) {
+      const key = keyOf(r);
+      if (seen.has(key)) warn("duplicate_id", `${file}: ${key}`);
+      seen.add(key);
+    }
+  }
+
+  const stops = await ctx.table("stops.txt");
+  const routes = await ctx.table("routes.txt");
+  const trips = await ctx.table("trips.txt");
+  const calendar = await ctx.optionalTable("calendar.txt");
+  const calendarDates = await ctx.optionalTable("calendar_dates.txt");
+
+  // ---- stops ----
+  checkDuplicateIds("stops.txt", stops, (r) => r.stop_id);
+  const stopsById = new Map(stops.map((s) => [s.stop_id, s]));
+  for (const s of stops) {
+    if (s.parent_station && !stopsById.has(s.parent_station)) warn("unknown_parent_station", `${s.stop_id} -> ${s.parent_station}`);
+  }
+
+  let stations = stops.filter((s) => String(s.location_type || "") === "1");
+  if (!stations.length) stations = stops;
+  const byName = new Map();
+  for (const s of stations) {
+    const name = (s.stop_name || "").trim().toLowerCase();
+    if (!byName.has(name)) byName.set(name, []);
+    byName.get(name).push(s);
+  }
+  for (const group of byName.values()) {
+    for (let i = 0; i < group.length; i++) {
+      for (let j = i + 1; j < group.length; j++) {
+        const [a, b] = [group[i], group[j]];
+        const d = distanceMeters(Number(a.stop_lat), Number(a.stop_lon), Number(b.stop_lat), Number(b.stop_lon));
+        if (d <= DUPLICATE_STATION_M) warn("duplicate_station", `${a.stop_id} / ${b.stop_id} (${a.stop_name})`);
+      }
+    }
+  }
+
+  // ---- routes + calendar ----
+  checkDuplicateIds("routes.txt", routes, (r) => r.route_id);
+  const routeIds = new Set(routes.map((r) => r.route_id));
+
+  const serviceIds = new Set();
+  const addedServices = new Set();
+  for (const d of calendarDates || []) {
+    serviceIds.add(d.service_id);
+    if (String(d.exception_type).trim() === "1") addedServices.add(d.service_id);
+  }
+  if (calendar) {
+    checkDuplicateIds("calendar.txt", calendar, (r) => r.service_id);
+    const DAYS = ["monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday"];
+    for (const c of calendar) {
+      serviceIds.add(c.service_id);
+      const start = (c.start_date || "").trim();
+      const end = (c.end_date || "").trim();
+      if (!/^\d{8}$/.test(start) || !/^\d{8}$/.test(end) || end < start) warn("invalid_service_dates", c.service_id);
+      if (!DAYS.some((d) => String(c[d]).trim() === "1") && !addedServices.has(c.service_id)) {
+        warn("service_never_runs", c.service_id);
+      }
+    }
+  }
+  const hasCalendar = Boolean(calendar || calendarDates);
+
+  // ---- trips ----
+  checkDuplicateIds("trips.txt", trips, (r) => r.trip_id);
+  const shapeIds = new Set();
+  if (trips.some((t) => t.shape_id) && (await ctx.optionalTable("shapes.txt")) !== null) {
+    await ctx.readRows("shapes.txt", (s) => shapeIds.add(s.shape_id));
+  }
+
+  for (const t of trips) {
+    if (!routeIds.has(t.route_id)) warn("unknown_route", `${t.trip_id} -> ${t.route_id}`);
+    if (hasCalendar && !serviceIds.has(t.service_id)) warn("unknown_service", `${t.trip_id} -> ${t.service_id}`);
+    if (t.shape_id && shapeIds.size && !shapeIds.has(t.shape_id)) warn("unknown_shape", `${t.trip_id} -> ${t.shape_id}`);
+    if (!(t.trip_headsign || "").trim()) warn("empty_headsign", t.trip_id);
+  }
+
+  // ---- stop_times ----
+  // Checked row by row as the file streams past, keeping only a few numbers
+  // per trip. Feeds list each trip's rows in stop_sequence order; once a
+  // trip's rows go backwards the order-dependent checks (repeats, times,
+  // speed) stop for that trip, since stop_sequence_out_of_order already
+  // covers it.
+  const tripState = new Map(); // trip_id -> state, see newTripState
+  if (stopTimes) for (const t of trips) tripState.set(t.trip_id, newTripState());
+  let stopTimeRows = 0;
+
+  function newTripState() {
+    return {
+      rows: 0,
+      unordered: false,
+      lastSeq: -Infinity,
+      // previous stop that had a time
+      prevStopId: null,
+      prevDep: null,
+      // lowest / highest stop_sequence so far, and whether it had a time
+      minSeq: Infinity,
+      minTimed: false,
+      maxSeq: -Infinity,
+      maxTimed: false,
+    };
+  }
+
+  function checkStopTime(tripId, st, seq, arr, dep, stopId) {
+    const at = arr ?? dep;
+    st.rows++;
+    if (seq < st.minSeq) {
+      st.minSeq = seq;
+      st.minTimed = at !== null;
+    }
+    if (seq > st.maxSeq) {
+      st.maxSeq = seq;
+      st.maxTimed = at !== null;
+    }
+
+    if (st.unordered) return;
+    if (seq < st.lastSeq) {
+      warn("stop_sequence_out_of_order", tripId);
+      st.unordered = true;
+      return;
+    }
+    if (seq === st.lastSeq) warn("duplicate_stop_sequence", `${tripId} #${seq}`);
+    st.lastSeq = seq;
+
+    if (at === null) return;
+    if (st.prevStopId !== null) {
+      if (at < st.prevDep) warn("time_goes_backwards", `${tripId} ${st.prevStopId} -> ${stopId}`);
+
+      const a = stopsById.get(st.prevStopId);
+      const b = stopsById.get(stopId);
+      if (a && b) {
+        const meters = distanceMeters(Number(a.stop_lat), Number(a.stop_lon), Number(b.stop_lat), Number(b.stop_lon));
+        const kmh = (meters / Math.max(at - st.prevDep, MIN_HOP_SEC)) * 3.6;
+        if (kmh > MAX_SPEED_KMH) warn("impossible_speed", `${tripId} ${st.prevStopId} -> ${stopId} (${Math.round(kmh)} km/h)`);
+      }
+    }
+    st.prevStopId = stopId;
+    st.prevDep = dep ?? arr;
+  }
+
+  function onStopTime(r) {
+    stopTimeRows++;
+    const st = tripState.get(r.trip_id);
+    if (!st) return warn("unknown_trip", r.trip_id);
+    if (!stopsById.has(r.stop_id)) warn("unknown_stop", `${r.trip_id} @ ${r.stop_id}`);
+    checkStopTime(r.trip_id, st, Number(r.stop_sequence), timeToSeconds(r.arrival_time), timeToSeconds(r.departure_time), r.stop_id);
+  }
+
+  return {
+    ...(stopTimes ? { onStopTime } : {}),
+    finish() {
+      for (const [tripId, st] of tripState) {
+        if (!st.rows) warn("trip_without_stop_times", tripId);
+        else if (!st.minTimed || !st.maxTimed) warn("missing_endpoint_time", tripId);
+      }
+
+      const issues = [...found.values()].sort(
+        (a, b) => ISSUE_CLASSES.indexOf(a.class) - ISSUE_CLASSES.indexOf(b.class) || b.count - a.count
+      );
+      const failing = issues.filter((i) => failOn.includes(i.class));
+      return {
+        generated_at: new Date().toISOString(),
+        fail_on: failOn,
+        failed: failing.length > 0,
+        counts: {
+          stops: stops.length,
+          routes: routes.length,
+          trips: trips.length,
+          stop_times: stopTimes ? stopTimeRows : null,
+          services: serviceIds.size,
+        },
+        issues: issues.map((i) => ({ ...i, fails_build: failOn.includes(i.class) })),
+      };
+    },
+  };
+}
+
+// Plain-text version of a report, for the console and the .txt next to the JSON
+export function formatReport(report, sourceLabel) {
+  const lines = [`GTFS validation: ${sourceLabel}`];
+  const c = report.counts;
+  const stopTimes = c.stop_times === null ? "" : ` ${c.stop_times} stop times,`;
+  lines.push(`  ${c.stops} stops, ${c.routes} routes, ${c.trips} trips,${stopTimes} ${c.services} services`);
+  if (c.stop_times === null) lines.push("  stop_times.txt not checked (nothing being built reads it; `validate` checks it too).");
+
+  if (!report.issues.length) {
+    lines.push("  No issues found.");
+    return lines.join("\n");
+  }
+
+  for (const i of report.issues) {
+    lines.push(`  ${i.fails_build ? "✖" : "⚠"} [${i.class}] ${i.code}: ${i.message} (${i.count.toLocaleString()})`);
+    if (i.examples.length) lines.push(`      e.g. ${i.examples.join(", ")}`);
+  }
+
+  const failing = report.issues.filter((i) => i.fails_build).length;
+  lines.push(
+    failing
+      ? `  ${failing} issue type(s) in failing classes (${report.fail_on.join(", ") || "none"}).`
+      : `  Nothing in failing classes (${report.fail_on.join(", ") || "none"}); warnings only.`
+  );
+  return lines.join("\n");
+}
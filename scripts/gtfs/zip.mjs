@@ -0,0 +1,111 @@
+// scripts/gtfs/zip.mjs
+// Just enough of the .zip format to stream GTFS tables out of the MTA
+// download without unpacking it: read the central directory once, then
+// inflate single entries on demand. Stored and deflated entries only, no
+// zip64 (GTFS zips are far below 4GB).
+
+import fs from "node:fs";
+import path from "node:path";
+import { PassThrough, Readable, pipeline } from "node:stream";
+import zlib from "node:zlib";
+
+const EOCD_SIG = 0x06054b50;
+const CENTRAL_SIG = 0x02014b50;
+const LOCAL_SIG = 0x04034b50;
+
+function readAt(fd, length, position) {
+  const buf = Buffer.alloc(length);
+  fs.readSync(fd, buf, 0, length, position);
+  return buf;
+}
+
+// MS-DOS date + time fields -> "YYYY-MM-DDTHH:MM:SS" (local, as stored)
+function dosDateTime(date, time) {
+  const pad = (n) => String(n).padStart(2, "0");
+  const y = 1980 + (date >> 9);
+  return `${y}-${pad((date >> 5) & 0xf)}-${pad(date & 0x1f)}T${pad(time >> 11)}:${pad((time >> 5) & 0x3f)}:${pad((time & 0x1f) * 2)}`;
+}
+
+function readCentralDirectory(fd, size, file) {
+  // End-of-central-directory record: 22 bytes + up to 64KB of comment
+  const tailLen = Math.min(size, 22 + 0xffff);
+  const tail = readAt(fd, tailLen, size - tailLen);
+  let eocd = -1;
+  for (let i = tailLen - 22; i >= 0; i--) {
+    if (tail.readUInt32LE(i) === EOCD_SIG) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw new Error(`${file}: not a zip file`);
+
+  const count = tail.readUInt16LE(eocd + 10);
+  const cdSize = tail.readUInt32LE(eocd + 12);
+  const cdOffset = tail.readUInt32LE(eocd + 16);
+  if (count === 0xffff || cdOffset === 0xffffffff) throw new Error(`${file}: zip64 archives are not supported`);
+
+  const cd = readAt(fd, cdSize, cdOffset);
+  const entries = new Map(); // base name -> entry
+  let p = 0;
+  for (let n = 0; n < count; n++) {
+    if (cd.readUInt32LE(p) !== CENTRAL_SIG) throw new Error(`${file}: corrupt central directory`);
+    const nameLen = cd.readUInt16LE(p + 28);
+    const extraLen = cd.readUInt16LE(p + 30);
+    const commentLen = cd.readUInt16LE(p + 32);
+    const name = cd.toString("utf8", p + 46, p + 46 + nameLen);
+
+    // Feeds are sometimes zipped with a top-level folder; match on the base name
+    if (!name.endsWith("/")) {
+      entries.set(path.posix.basename(name), {
+        name,
+        method: cd.readUInt16LE(p + 10),
+        modified: dosDateTime(cd.readUInt16LE(p + 14), cd.readUInt16LE(p + 12)),
+        crc: cd.readUInt32LE(p + 16),
+        compressedSize: cd.readUInt32LE(p + 20),
+        size: cd.readUInt32LE(p + 24),
+        offset: cd.readUInt32LE(p + 42),
+      });
+    }
+    p += 46 + nameLen + extraLen + commentLen;
+  }
+  return entries;
+}
+
+export function openZip(file) {
+  const fd = fs.openSync(file, "r");
+  let entries;
+  try {
+    entries = readCentralDirectory(fd, fs.fstatSync(fd).size, file);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  // Readable of one entry's uncompressed bytes
+  function stream(baseName) {
+    const e = entries.get(baseName);
+    if (!e) throw new Error(`${file}: no ${baseName} in archive`);
+    if (e.method !== 0 && e.method !== 8) throw new Error(`${file}: ${e.name} uses unsupported compression ${e.method}`);
+
+    const fd = fs.openSync(file, "r");
+    let local;
+    try {
+      local = readAt(fd, 30, e.offset);
+    } finally {
+      fs.closeSync(fd);
+    }
+    if (local.readUInt32LE(0) !== LOCAL_SIG) throw new Error(`${file}: corrupt local header for ${e.name}`);
+
+    // The local header's name/extra lengths can differ from the central copy
+    const start = e.offset + 30 + local.readUInt16LE(26) + local.readUInt16LE(28);
+    if (!e.compressedSize) return Readable.from([]);
+
+    const raw = fs.createReadStream(file, { start, end: start + e.compressedSize - 1 });
+    if (e.method === 0) return raw;
+    // pipeline passes read/inflate errors on to whoever consumes `out`
+    const out = new PassThrough();
+    pipeline(raw, zlib.createInflateRaw(), out, () => {});
+    return out;
+  }
+
+  return { file, entries, has: (baseName) => entries.has(baseName), stream };
+}
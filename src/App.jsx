@@ -4,8 +4,6 @@ import "mapbox-gl/dist/mapbox-gl.css";
 
 import STOPS from "./data/stops.json";
 import STATION_TO_LINES from "./data/station_to_lines.json";
-import ARRIVALS_BY_DEST from "./data/station_arrivals_by_destination.json";
-import ROUTE_SHAPES from "./data/route_shapes.json";
 
 /* =========================
    Helpers: distance
@@ -34,33 +32,207 @@ function clampStopsArray(stops) {
 }
 
 /* =========================
-   Helpers: GTFS time + ETA
-   Fixes 24+ hour times (e.g. 25:10:00)
+   Helpers: service days
+   Schedule times are seconds after service-day start and can pass
+   86400 (25:10:00 = 90600). Dates and days are the agency's (New York),
+   whatever timezone the device is in; same as backend/schedule.js.
 ========================= */
-function timeToSecondsSinceMidnight(hms) {
-  const [h, m, s] = String(hms).split(":").map((x) => parseInt(x, 10));
-  return h * 3600 + m * 60 + (s || 0);
+const AGENCY_TZ = (import.meta.env.VITE_AGENCY_TZ || "America/New_York").trim();
+const agencyDateTime = new Intl.DateTimeFormat("en-US", {
+  timeZone: AGENCY_TZ,
+  hourCycle: "h23",
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  hour: "2-digit",
+  minute: "2-digit",
+  second: "2-digit",
+});
+
+function tzParts(epochMs) {
+  const parts = agencyDateTime.formatToParts(new Date(epochMs));
+  return Object.fromEntries(parts.filter((p) => p.type !== "literal").map((p) => [p.type, Number(p.value)]));
 }
 
-function nowSecondsSinceMidnight() {
-  const d = new Date();
-  return d.getHours() * 3600 + d.getMinutes() * 60 + d.getSeconds();
+// Agency calendar date ("YYYYMMDD") at epochMs, shifted by `offset` days
+function serviceDateFor(epochMs, offset = 0) {
+  const p = tzParts(epochMs);
+  return new Date(Date.UTC(p.year, p.month - 1, p.day + offset)).toISOString().slice(0, 10).replaceAll("-", "");
 }
 
-// Correct ETA sec for GTFS times like 25:10:00
-function etaSecondsFromGTFS(timeStr) {
-  const tSecRaw = timeToSecondsSinceMidnight(timeStr);
-  const nowSec = nowSecondsSinceMidnight();
+// GTFS times count from "noon minus 12h" on the service date, which is
+// midnight except on DST change days. Epoch ms.
+function serviceDayStart(date) {
+  const noonUtc = Date.UTC(Number(date.slice(0, 4)), Number(date.slice(4, 6)) - 1, Number(date.slice(6, 8)), 12);
+  const p = tzParts(noonUtc);
+  const offsetMs = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - noonUtc;
+  return noonUtc - offsetMs - 12 * 3600 * 1000;
+}
+
+/* =========================
+   Helpers: service calendar
+   Which schedule patterns (Weekday / Saturday / Sunday / holiday)
+   run on a date, from calendar.txt + calendar_dates.txt
+========================= */
+function activeServiceIds(calendar, date) {
+  const day = new Date(Date.UTC(Number(date.slice(0, 4)), Number(date.slice(4, 6)) - 1, Number(date.slice(6, 8))));
+  const weekday = (day.getUTCDay() + 6) % 7; // calendar.txt order: Monday first
+  const active = new Set();
+
+  for (const [id, s] of Object.entries(calendar?.services || {})) {
+    if (s.start && date < s.start) continue;
+    if (s.end && date > s.end) continue;
+    if (s.days?.[weekday] === 1) active.add(id);
+  }
+
+  // calendar_dates exceptions (holidays) override the weekly pattern
+  const exception = calendar?.dates?.[date];
+  for (const id of exception?.add || []) active.add(id);
+  for (const id of exception?.remove || []) active.delete(id);
+  return active;
+}
+
+// Yesterday's, today's and tomorrow's service days, each with its start
+// (epoch ms). Yesterday's trips can still be running (times like
+// 25:10:00), and tomorrow's matter late at night.
+function serviceDaysAround(calendar, nowMs) {
+  return [-1, 0, 1].map((offset) => {
+    const date = serviceDateFor(nowMs, offset);
+    return { startMs: serviceDayStart(date), active: activeServiceIds(calendar, date) };
+  });
+}
+
+// ETA sec for every scheduled time ({ service_id: [seconds] }) on an
+// active service day
+function scheduledEtas(byService, serviceDays, nowMs) {
+  const out = [];
+  for (const { startMs, active } of serviceDays) {
+    const offsetSec = (startMs - nowMs) / 1000;
+    for (const [serviceId, times] of Object.entries(byService || {})) {
+      if (!active.has(serviceId)) continue;
+      for (const t of times) out.push({ etaSec: Math.round(t + offsetSec) });
+    }
+  }
+  return out;
+}
 
-  const tSecNorm = tSecRaw % 86400;
-  const isNextDay = tSecRaw >= 86400;
+/* =========================
+   Static schedule chunks
+   public/data/schedules (npm run build-gtfs -- arrivals): index.json
+   with the service calendar, one file per station. Fetched when a
+   station is on screen, cached in memory and IndexedDB per version.
+========================= */
+const SCHEDULE_BASE = `${import.meta.env.BASE_URL}data/schedules`;
+const FEED_INFO_URL = `${import.meta.env.BASE_URL}data/feed_info.json`; // npm run build-gtfs -- feed_info
+const SCHEDULE_DB = "nearby-transit";
+const SCHEDULE_STORE = "schedules";
+const SCHEDULE_PREFETCH_STOPS = 3; // nearby stations loaded ahead of a tap
+
+let scheduleIndexPromise = null;
+const scheduleChunks = new Map(); // `${version}/${stationId}` -> Promise<chunk>
+let scheduleDbPromise = null;
+
+function idbResult(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// null when IndexedDB is unavailable (private mode, old browsers);
+// the memory cache still works
+function openScheduleDb() {
+  if (!scheduleDbPromise) {
+    scheduleDbPromise = new Promise((resolve) => {
+      if (typeof indexedDB === "undefined") return resolve(null);
+      const req = indexedDB.open(SCHEDULE_DB, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(SCHEDULE_STORE);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => resolve(null);
+    });
+  }
+  return scheduleDbPromise;
+}
+
+async function idbGet(key) {
+  const db = await openScheduleDb();
+  if (!db) return undefined;
+  try {
+    return await idbResult(db.transaction(SCHEDULE_STORE).objectStore(SCHEDULE_STORE).get(key));
+  } catch {
+    return undefined;
+  }
+}
+
+async function idbPut(key, value) {
+  const db = await openScheduleDb();
+  if (!db) return;
+  try {
+    await idbResult(db.transaction(SCHEDULE_STORE, "readwrite").objectStore(SCHEDULE_STORE).put(value, key));
+  } catch {
+    // quota etc.; it's only a cache
+  }
+}
+
+// Chunks from an older build are never read again
+async function pruneScheduleDb(version) {
+  const db = await openScheduleDb();
+  if (!db) return;
+  try {
+    const store = db.transaction(SCHEDULE_STORE, "readwrite").objectStore(SCHEDULE_STORE);
+    const keys = await idbResult(store.getAllKeys());
+    for (const key of keys) if (!String(key).startsWith(`${version}/`)) store.delete(key);
+  } catch {
+    // ignore
+  }
+}
 
-  if (isNextDay) return (tSecNorm + 86400) - nowSec;
+async function fetchJSON(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
+  return res.json();
+}
 
-  // If time already passed today, treat as tomorrow (after midnight rollover)
-  if (tSecNorm < nowSec) return (tSecNorm + 86400) - nowSec;
+function loadScheduleIndex() {
+  if (!scheduleIndexPromise) {
+    scheduleIndexPromise = fetchJSON(`${SCHEDULE_BASE}/index.json`).then(
+      (index) => {
+        pruneScheduleDb(index.version);
+        return { ...index, stations: new Set(index.stations || []) };
+      },
+      (err) => {
+        scheduleIndexPromise = null; // try again next time
+        throw err;
+      }
+    );
+  }
+  return scheduleIndexPromise;
+}
 
-  return tSecNorm - nowSec;
+// { line: { headsign: { service_id: [seconds] } } }, {} for stations
+// without scheduled service
+async function loadStationSchedule(stationId) {
+  const index = await loadScheduleIndex();
+  if (!index.stations.has(stationId)) return {};
+
+  const key = `${index.version}/${stationId}`;
+  if (!scheduleChunks.has(key)) {
+    const load = async () => {
+      const cached = await idbGet(key);
+      if (cached !== undefined) return cached;
+      const chunk = await fetchJSON(`${SCHEDULE_BASE}/${encodeURIComponent(stationId)}.json`);
+      idbPut(key, chunk);
+      return chunk;
+    };
+    scheduleChunks.set(
+      key,
+      load().catch((err) => {
+        scheduleChunks.delete(key);
+        throw err;
+      })
+    );
+  }
+  return scheduleChunks.get(key);
 }
 
 function fmtEtaMinutes(diffSec) {
@@ -70,21 +242,69 @@ function fmtEtaMinutes(diffSec) {
   return `${min} min`;
 }
 
+function fmtClock(epochSec) {
+  return new Date(epochSec * 1000).toLocaleTimeString([], { hour: "numeric", minute: "2-digit" });
+}
+
+// "20261019" -> "Oct 19"
+function fmtServiceDate(yyyymmdd) {
+  if (!/^\d{8}$/.test(yyyymmdd || "")) return "?";
+  const d = new Date(Number(yyyymmdd.slice(0, 4)), Number(yyyymmdd.slice(4, 6)) - 1, Number(yyyymmdd.slice(6, 8)));
+  return d.toLocaleDateString([], { month: "short", day: "numeric" });
+}
+
+function fmtAge(sec) {
+  if (sec < 60) return `${sec}s ago`;
+  return `${Math.round(sec / 60)} min ago`;
+}
+
+const MAX_SHOW_MIN = 90; // never show insane far away times
+
 /* =========================
-   ETA Simulation (good UX)
+   Realtime (GTFS-RT proxy in backend/)
 ========================= */
-function simulateEtas({ base = 6, count = 3, jitter = 2, step = 6 } = {}) {
-  const out = [];
-  for (let i = 0; i < count; i++) {
-    const noise = Math.floor(Math.random() * (jitter * 2 + 1) - jitter); // [-jitter..+jitter]
-    const minutes = Math.max(1, base + i * step + noise);
-    out.push(minutes);
-  }
-  return out.sort((a, b) => a - b);
+const API_BASE = (import.meta.env.VITE_API_URL || "http://localhost:3000").trim().replace(/\/$/, "");
+const API_KEY = (import.meta.env.VITE_API_KEY || "").trim();
+const LIVE_POLL_MS = 20000;
+const LIVE_STALE_SEC = 90; // flag predictions older than this
+const LIVE_MAX_AGE_SEC = 300; // past this, drop them and show the schedule
+const ALERTS_POLL_MS = 60000;
+const DELAY_SHOW_SEC = 120; // only call a line late past this average
+
+// /api/lines/status values -> dot colors (no dot for Good Service)
+const STATUS_COLORS = {
+  "Service Change": "#fbbf24",
+  Delays: "#f97316",
+  Suspended: "#ef4444",
+};
+const STREAM_RETRY_MIN_MS = 1000;
+const STREAM_RETRY_MAX_MS = 30000;
+
+const EMPTY_FC = { type: "FeatureCollection", features: [] };
+
+// Stream "diff" events are keyed by arrival id (trip_id|stop_id)
+function applyArrivalsDiff(data, diff) {
+  if (!data) return data;
+  const byId = new Map((data.arrivals || []).map((a) => [a.id, a]));
+  for (const id of diff.removed || []) byId.delete(id);
+  for (const a of [...(diff.added || []), ...(diff.updated || [])]) byId.set(a.id, a);
+  return { ...data, fetched_at: diff.fetched_at, errors: diff.errors, arrivals: [...byId.values()] };
 }
 
-const MAX_SHOW_MIN = 90; // never show insane far away times
-const SOON_WINDOW_MIN = 20; // if none within 20 min => simulate
+// Backend URL for a path, with the API key when the proxy requires one
+// (as a query param because EventSource can't send headers)
+function apiUrl(path) {
+  if (!API_KEY) return `${API_BASE}${path}`;
+  return `${API_BASE}${path}${path.includes("?") ? "&" : "?"}api_key=${encodeURIComponent(API_KEY)}`;
+}
+
+// Realtime route_ids that are signed differently in static data
+const RT_ROUTE_TO_LINE = { GS: "S", FS: "S", H: "S", SI: "SIR" };
+
+function lineFromRouteId(routeId) {
+  const r = String(routeId || "").toUpperCase();
+  return RT_ROUTE_TO_LINE[r] || r;
+}
 
 /* =========================
    Line colors (approx)
@@ -114,15 +334,19 @@ const LINE_COLORS = {
   S: "#808183",
 };
 
-function RouteBullet({ line }) {
+// status: line status from /api/lines/status; without one, alert still
+// gets the amber dot
+function RouteBullet({ line, alert = false, status = null }) {
   const l = String(line).toUpperCase();
   const bg = LINE_COLORS[l] || "#666";
   const isYellow = ["N", "Q", "R", "W"].includes(l);
+  const dot = STATUS_COLORS[status] || (alert && !status ? "#fbbf24" : null);
 
   return (
     <span
-      title={`Line ${l}`}
+      title={status ? `Line ${l} — ${status}` : alert ? `Line ${l} — service alert` : `Line ${l}`}
       style={{
+        position: "relative",
         width: 26,
         height: 26,
         borderRadius: 999,
@@ -137,10 +361,61 @@ function RouteBullet({ line }) {
       }}
     >
       {l}
+      {dot && (
+        <span
+          style={{
+            position: "absolute",
+            top: -3,
+            right: -3,
+            width: 10,
+            height: 10,
+            borderRadius: 999,
+            background: dot,
+            boxShadow: "0 0 0 2px rgba(0,0,0,0.6)",
+          }}
+        />
+      )}
     </span>
   );
 }
 
+// Line status overview (the "status" tab)
+function LineStatusBoard({ lines }) {
+  if (!lines.length) {
+    return <div style={{ opacity: 0.75, color: "white", fontSize: 12 }}>Loading line status…</div>;
+  }
+
+  return (
+    <div style={{ display: "grid", gap: 8 }}>
+      {lines.map((l) => (
+        <div
+          key={l.line}
+          style={{
+            display: "flex",
+            alignItems: "center",
+            gap: 10,
+            padding: "8px 10px",
+            borderRadius: 12,
+            border: "1px solid rgba(255,255,255,0.12)",
+            background: "rgba(255,255,255,0.06)",
+            color: "white",
+          }}
+        >
+          <RouteBullet line={l.line} status={l.status} />
+          <div style={{ minWidth: 0 }}>
+            <div style={{ fontWeight: 900, fontSize: 13, color: STATUS_COLORS[l.status] || "white" }}>{l.status}</div>
+            {l.reason && (
+              <div style={{ opacity: 0.8, fontSize: 12, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+                {l.reason}
+              </div>
+            )}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
 export default function App() {
   const token = (import.meta.env.VITE_MAPBOX_TOKEN || "").trim();
 
@@ -150,6 +425,7 @@ export default function App() {
   const userMarkerRef = useRef(null);
   const exploreMarkerRef = useRef(null);
   const stopMarkersRef = useRef([]);
+  const vehiclesGeoRef = useRef(EMPTY_FC); // latest trains, for when the map finishes loading
 
   // Location
   const [userLoc, setUserLoc] = useState(null); // {lat, lon}
@@ -161,8 +437,9 @@ export default function App() {
 
   // UI
   const [showStops, setShowStops] = useState(true);
+  const [showTrains, setShowTrains] = useState(true);
   const [sheetCollapsed, setSheetCollapsed] = useState(false);
-  const [activeTab, setActiveTab] = useState("nearby"); // nearby | favorites
+  const [activeTab, setActiveTab] = useState("nearby"); // nearby | favorites | status
 
   // Favorites persisted
   const [favorites, setFavorites] = useState(() => {
@@ -185,10 +462,33 @@ export default function App() {
   const [selectedLine, setSelectedLine] = useState(null);
   const [selectedHeadsign, setSelectedHeadsign] = useState(null);
 
-  // tick for refreshing ETA display
-  const [nowTick, setNowTick] = useState(0);
+  // Live predictions for the selected station
+  const [live, setLive] = useState({ status: "idle", data: null, error: null });
+
+  // Approximate live train positions
+  const [vehicles, setVehicles] = useState([]);
+
+  // Active service alerts (all feeds)
+  const [alerts, setAlerts] = useState([]);
+  const [expandedAlertId, setExpandedAlertId] = useState(null);
+
+  // Status board from /api/lines/status: [{ line, status, reason }]
+  const [lineStatuses, setLineStatuses] = useState([]);
+
+  // Average delay vs. schedule (seconds) for lines at the selected station
+  const [lineDelays, setLineDelays] = useState({});
+
+  // Static schedule: service calendar + loaded station chunks
+  const [scheduleIndex, setScheduleIndex] = useState(null);
+  const [stationSchedules, setStationSchedules] = useState({});
+  const [scheduleError, setScheduleError] = useState(null); // why scheduled times are missing
+  const [feedInfo, setFeedInfo] = useState(null); // which GTFS build the schedule is from
+
+  // Current time for ETAs and data ages, kept in state so renders stay
+  // pure; the tick (and every live update) moves it forward
+  const [nowMs, setNowMs] = useState(() => Date.now());
   useEffect(() => {
-    const t = setInterval(() => setNowTick((x) => x + 1), 15000);
+    const t = setInterval(() => setNowMs(Date.now()), 15000);
     return () => clearInterval(t);
   }, []);
 
@@ -257,73 +557,338 @@ export default function App() {
     if (selectedLinesAtStop.length && !selectedLine) setSelectedLine(selectedLinesAtStop[0]);
   }, [selectedStop, selectedLinesAtStop, selectedLine]);
 
-  // Get headsign options from ARRIVALS_BY_DEST for this stop+line
-  const headsignOptions = useMemo(() => {
-    if (!selectedStop || !selectedLine) return [];
-    const stationData = ARRIVALS_BY_DEST?.[selectedStop.id];
-    if (!stationData) return [];
-    const lineKey = String(selectedLine).toUpperCase();
-    const lineData = stationData?.[lineKey];
-    if (!lineData) return [];
-    return Object.keys(lineData);
-  }, [selectedStop, selectedLine]);
+  // -------- 3) Stream live arrivals from the proxy (SSE) --------
+  useEffect(() => {
+    if (!selectedStopId) return;
+
+    let es = null;
+    let retryTimer = null;
+    let attempt = 0;
+    let closed = false;
+
+    setLive({ status: "loading", data: null, error: null });
+
+    const connect = () => {
+      es = new EventSource(apiUrl(`/api/stream/stations/${encodeURIComponent(selectedStopId)}`));
+
+      es.addEventListener("snapshot", (e) => {
+        attempt = 0;
+        setNowMs(Date.now());
+        setLive({ status: "ok", data: JSON.parse(e.data), error: null });
+      });
+
+      es.addEventListener("diff", (e) => {
+        const diff = JSON.parse(e.data);
+        setNowMs(Date.now());
+        setLive((prev) => ({ status: "ok", data: applyArrivalsDiff(prev.data, diff), error: null }));
+      });
+
+      // the server couldn't get arrivals this time; the stream stays open and
+      // the next snapshot/diff clears it
+      es.addEventListener("failure", (e) => {
+        const { error } = JSON.parse(e.data);
+        setLive((prev) => ({ ...prev, status: "error", error, reconnecting: false }));
+      });
+
+      // Connection dropped. EventSource retries on its own at a fixed rate;
+      // we'd rather back off
+      es.onerror = () => {
+        es.close();
+        if (closed) return;
+        // keep the last good snapshot around; liveInfo decides if it's still usable
+        setLive((prev) => ({ ...prev, status: "error", error: "Stream disconnected", reconnecting: true }));
+        const delay = Math.min(STREAM_RETRY_MAX_MS, STREAM_RETRY_MIN_MS * 2 ** attempt);
+        attempt++;
+        retryTimer = setTimeout(connect, delay);
+      };
+    };
+
+    connect();
+    return () => {
+      closed = true;
+      clearTimeout(retryTimer);
+      es?.close();
+    };
+  }, [selectedStopId]);
 
+  // How old is the live snapshot, and can we still show it?
+  const liveInfo = useMemo(() => {
+    const fetched = Object.values(live.data?.fetched_at || {})
+      .map((t) => Date.parse(t))
+      .filter(Number.isFinite);
+    const ageSec = fetched.length ? Math.max(0, Math.round((nowMs - Math.min(...fetched)) / 1000)) : null;
+    const usable = ageSec !== null && ageSec <= LIVE_MAX_AGE_SEC;
+    const stale = usable && (ageSec > LIVE_STALE_SEC || live.status === "error");
+    return { ageSec, usable, stale };
+  }, [live, nowMs]);
+
+  // -------- 3b) Poll service alerts --------
   useEffect(() => {
-    if (!headsignOptions.length) {
-      setSelectedHeadsign(null);
-      return;
-    }
-    if (!selectedHeadsign) setSelectedHeadsign(headsignOptions[0]);
-  }, [headsignOptions, selectedHeadsign]);
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        const res = await fetch(apiUrl("/api/alerts"));
+        if (!res.ok) return;
+        const body = await res.json();
+        if (!cancelled) setAlerts(Array.isArray(body?.alerts) ? body.alerts : []);
+      } catch {
+        // keep the last list; the live status banner already covers an unreachable backend
+      }
+    };
+
+    load();
+    const t = setInterval(load, ALERTS_POLL_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(t);
+    };
+  }, []);
+
+  // -------- 3b1) Poll line status --------
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        const res = await fetch(apiUrl("/api/lines/status"));
+        if (!res.ok) return;
+        const body = await res.json();
+        if (!cancelled) setLineStatuses(Array.isArray(body?.lines) ? body.lines : []);
+      } catch {
+        // keep the last board
+      }
+    };
 
-  // -------- 3) Build arrivals (scheduled + estimated fallback) --------
+    load();
+    const t = setInterval(load, ALERTS_POLL_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(t);
+    };
+  }, []);
+
+  // -------- 3b2) Poll line delays for the selected station --------
+  const delayLinesKey = selectedLinesAtStop.map((l) => String(l).toUpperCase()).join(",");
+  useEffect(() => {
+    if (!delayLinesKey) return;
+
+    let cancelled = false;
+
+    const load = async () => {
+      const entries = await Promise.all(
+        delayLinesKey.split(",").map(async (ln) => {
+          try {
+            const res = await fetch(apiUrl(`/api/lines/${encodeURIComponent(ln)}/delays`));
+            if (!res.ok) return [ln, null];
+            const body = await res.json();
+            return [ln, Number.isFinite(body?.avg_delay_seconds) ? body.avg_delay_seconds : null];
+          } catch {
+            return [ln, null];
+          }
+        })
+      );
+      if (!cancelled) setLineDelays(Object.fromEntries(entries));
+    };
+
+    load();
+    const t = setInterval(load, ALERTS_POLL_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(t);
+    };
+  }, [delayLinesKey]);
+
+  // -------- 3b3) Static schedule chunks for the stations on screen --------
+  const scheduleStopsKey = [selectedStopId, ...nearbyStops.slice(0, SCHEDULE_PREFETCH_STOPS).map((s) => s.id)]
+    .filter((id, i, arr) => id && arr.indexOf(id) === i)
+    .join(",");
+  useEffect(() => {
+    if (!scheduleStopsKey) return;
+
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        const index = await loadScheduleIndex();
+        if (!cancelled) setScheduleIndex(index);
+
+        await Promise.all(
+          scheduleStopsKey.split(",").map(async (id) => {
+            const chunk = await loadStationSchedule(id);
+            if (!cancelled) setStationSchedules((prev) => (prev[id] === chunk ? prev : { ...prev, [id]: chunk }));
+          })
+        );
+        if (!cancelled) setScheduleError(null);
+      } catch (err) {
+        if (!cancelled) setScheduleError(String(err.message || err));
+      }
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [scheduleStopsKey]);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchJSON(FEED_INFO_URL)
+      .then((info) => {
+        if (!cancelled) setFeedInfo(info);
+      })
+      .catch(() => {
+        // older builds have no feed_info.json; just don't show a version
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // -------- 3c) Poll train positions --------
+  useEffect(() => {
+    if (!showTrains) return;
+
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        const res = await fetch(apiUrl("/api/vehicles"));
+        if (!res.ok) return;
+        const body = await res.json();
+        if (!cancelled) setVehicles(Array.isArray(body?.vehicles) ? body.vehicles : []);
+      } catch {
+        // map just keeps the last positions
+      }
+    };
+
+    load();
+    const t = setInterval(load, LIVE_POLL_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(t);
+    };
+  }, [showTrains]);
+
+  const vehiclesGeo = useMemo(() => {
+    if (!showTrains) return EMPTY_FC;
+    return {
+      type: "FeatureCollection",
+      features: vehicles
+        .filter((v) => Number.isFinite(v.lat) && Number.isFinite(v.lon))
+        .map((v) => {
+          const line = lineFromRouteId(v.route_id);
+          return {
+            type: "Feature",
+            geometry: { type: "Point", coordinates: [v.lon, v.lat] },
+            properties: {
+              id: v.id,
+              line,
+              color: LINE_COLORS[line] || "#999999",
+              status: v.status,
+              stop_name: v.stop_name || "",
+            },
+          };
+        }),
+    };
+  }, [vehicles, showTrains]);
+
+  // line -> status; express variants (6X, 7X, FX) share their line's
+  const statusByLine = useMemo(() => {
+    const map = {};
+    for (const l of lineStatuses) if (l.status !== "Unknown") map[l.line] = l.status;
+    return map;
+  }, [lineStatuses]);
+  const lineStatusOf = (ln) => {
+    const l = String(ln).toUpperCase();
+    return statusByLine[l] || statusByLine[l.replace(/(.)X$/, "$1")] || null;
+  };
+
+  const alertedLines = useMemo(() => {
+    const set = new Set();
+    for (const a of alerts) for (const r of a.routes || []) set.add(lineFromRouteId(r));
+    return set;
+  }, [alerts]);
+
+  // Alerts that name this station, or a line that stops here
+  const stationAlerts = useMemo(() => {
+    if (!selectedStop) return [];
+    const lines = new Set(selectedLinesAtStop.map((l) => String(l).toUpperCase()));
+    return alerts.filter((a) =>
+      (a.informed_entities || []).some((ie) =>
+        ie.stop_id
+          ? String(ie.stop_id).replace(/[NS]$/, "") === selectedStop.id
+          : ie.route_id && lines.has(lineFromRouteId(ie.route_id))
+      )
+    );
+  }, [alerts, selectedStop, selectedLinesAtStop]);
+
+  // -------- 4) Build arrivals (live first, schedule as labelled fallback) --------
   const nextArrivals = useMemo(() => {
     if (!selectedStop) return [];
-    const stationData = ARRIVALS_BY_DEST?.[selectedStop.id];
-    if (!stationData) return [];
 
     const groups = [];
+    const liveLines = new Set();
+
+    if (liveInfo.usable) {
+      const nowSec = nowMs / 1000;
+      const byKey = new Map();
+
+      for (const a of live.data.arrivals || []) {
+        const predicted = a.arrival_time || a.departure_time;
+        const etaSec = Math.round(predicted - nowSec);
+        if (etaSec < 0 || etaSec > MAX_SHOW_MIN * 60) continue;
+
+        const line = lineFromRouteId(a.route_id);
+        const headsign = a.destination || (a.direction === "N" ? "Northbound" : "Southbound");
+        const key = `${line}|${headsign}`;
+        if (!byKey.has(key)) byKey.set(key, { line, headsign, upcoming: [] });
+        byKey.get(key).upcoming.push({
+          timeStr: fmtClock(predicted),
+          etaSec,
+          etaLabel: fmtEtaMinutes(etaSec),
+          source: "live",
+          trainId: a.train_id,
+          assigned: a.is_assigned !== false, // null = feed doesn't say
+          track: a.actual_track || a.scheduled_track,
+          trackChange: a.track_change,
+        });
+      }
+
+      for (const g of byKey.values()) {
+        g.upcoming.sort((a, b) => a.etaSec - b.etaSec);
+        g.upcoming = g.upcoming.slice(0, 4);
+        groups.push(g);
+        liveLines.add(g.line);
+      }
+    }
+
+    // Static schedule for any line the proxy has nothing for
+    const stationData = stationSchedules[selectedStop.id] || {};
+    const serviceDays = serviceDaysAround(scheduleIndex, nowMs);
 
     for (const line of Object.keys(stationData)) {
+      if (liveLines.has(String(line).toUpperCase())) continue;
+
       const byHeadsign = stationData[line] || {};
       for (const headsign of Object.keys(byHeadsign)) {
-        const times = byHeadsign[headsign] || [];
-
-        const upcomingScheduled = times
-          .map((t) => ({ timeStr: t, etaSec: etaSecondsFromGTFS(t) }))
+        const upcomingScheduled = scheduledEtas(byHeadsign[headsign], serviceDays, nowMs)
           .filter((x) => x.etaSec >= 0)
           .filter((x) => x.etaSec <= MAX_SHOW_MIN * 60)
           .sort((a, b) => a.etaSec - b.etaSec)
-          .slice(0, 5)
+          .slice(0, 4)
           .map((x) => ({
-            timeStr: x.timeStr,
+            timeStr: fmtClock(nowMs / 1000 + x.etaSec),
             etaSec: x.etaSec,
             etaLabel: fmtEtaMinutes(x.etaSec),
             source: "scheduled",
           }));
 
-        const hasSoon = upcomingScheduled.some((u) => u.etaSec <= SOON_WINDOW_MIN * 60);
-
-        if (!hasSoon) {
-          const sim = simulateEtas({ base: 6, count: 3, jitter: 2, step: 6 }).map((m) => ({
-            timeStr: null,
-            etaSec: m * 60,
-            etaLabel: `${m} min`,
-            source: "estimated",
-          }));
-
-          const maybeFirstScheduled = upcomingScheduled[0] ? [upcomingScheduled[0]] : [];
-
-          groups.push({
-            line: String(line).toUpperCase(),
-            headsign,
-            upcoming: [...sim, ...maybeFirstScheduled].slice(0, 4),
-          });
-        } else if (upcomingScheduled.length) {
+        if (upcomingScheduled.length) {
           groups.push({
             line: String(line).toUpperCase(),
             headsign,
-            upcoming: upcomingScheduled.slice(0, 4),
+            upcoming: upcomingScheduled,
           });
         }
       }
@@ -331,7 +896,28 @@ export default function App() {
 
     groups.sort((a, b) => (a.upcoming[0]?.etaSec ?? 999999) - (b.upcoming[0]?.etaSec ?? 999999));
     return groups;
-  }, [selectedStop, nowTick]);
+  }, [selectedStop, live, liveInfo.usable, stationSchedules, scheduleIndex, nowMs]);
+
+  // Direction options for this stop+line, from whatever we're showing
+  const headsignOptions = useMemo(() => {
+    if (!selectedLine) return [];
+    const lineKey = String(selectedLine).toUpperCase();
+    const out = [];
+    for (const g of nextArrivals) {
+      if (g.line === lineKey && !out.includes(g.headsign)) out.push(g.headsign);
+    }
+    return out;
+  }, [nextArrivals, selectedLine]);
+
+  useEffect(() => {
+    if (!headsignOptions.length) {
+      setSelectedHeadsign(null);
+      return;
+    }
+    if (!selectedHeadsign || !headsignOptions.includes(selectedHeadsign)) {
+      setSelectedHeadsign(headsignOptions[0]);
+    }
+  }, [headsignOptions, selectedHeadsign]);
 
   const visibleArrivals = useMemo(() => {
     let list = nextArrivals;
@@ -374,19 +960,55 @@ export default function App() {
     map.addControl(new mapboxgl.NavigationControl(), "top-right");
 
     map.on("load", () => {
-      // Route shapes layer
-      if (ROUTE_SHAPES && !map.getSource("route-shapes")) {
-        map.addSource("route-shapes", { type: "geojson", data: ROUTE_SHAPES });
+      // Route shapes layer (~770KB, its own chunk so it doesn't hold up
+      // first paint); slotted under the trains whenever it arrives
+      import("./data/route_shapes.json")
+        .then(({ default: routeShapes }) => {
+          if (mapRef.current !== map || map.getSource("route-shapes")) return;
+          map.addSource("route-shapes", { type: "geojson", data: routeShapes });
+          map.addLayer(
+            {
+              id: "route-shapes-layer",
+              type: "line",
+              source: "route-shapes",
+              layout: { "line-join": "round", "line-cap": "round" },
+              paint: {
+                "line-color": ["get", "color"],
+                "line-width": 3,
+                "line-opacity": 0.85,
+              },
+            },
+            map.getLayer("vehicles-layer") ? "vehicles-layer" : undefined
+          );
+        })
+        .catch((err) => console.error("Route shapes failed to load:", err));
+
+      // Live trains (approximate, between stations)
+      if (!map.getSource("vehicles")) {
+        map.addSource("vehicles", { type: "geojson", data: vehiclesGeoRef.current });
         map.addLayer({
-          id: "route-shapes-layer",
-          type: "line",
-          source: "route-shapes",
-          layout: { "line-join": "round", "line-cap": "round" },
+          id: "vehicles-layer",
+          type: "circle",
+          source: "vehicles",
           paint: {
-            "line-color": ["get", "color"],
-            "line-width": 3,
-            "line-opacity": 0.85,
+            "circle-radius": ["interpolate", ["linear"], ["zoom"], 11, 4, 15, 9],
+            "circle-color": ["get", "color"],
+            "circle-stroke-width": 2,
+            "circle-stroke-color": "#fff",
+          },
+        });
+        map.addLayer({
+          id: "vehicles-label-layer",
+          type: "symbol",
+          source: "vehicles",
+          minzoom: 13.5,
+          layout: {
+            "text-field": ["get", "line"],
+            "text-size": 10,
+            "text-font": ["DIN Pro Bold", "Arial Unicode MS Bold"],
+            "text-allow-overlap": true,
           },
+          paint: { "text-color": "#fff" },
         });
       }
       map.resize();
@@ -401,6 +1023,12 @@ export default function App() {
     };
   }, [token]);
 
+  // Push train positions into the map source on every poll
+  useEffect(() => {
+    vehiclesGeoRef.current = vehiclesGeo;
+    mapRef.current?.getSource("vehicles")?.setData(vehiclesGeo);
+  }, [vehiclesGeo]);
+
   // Blue GPS marker
   useEffect(() => {
     if (!mapRef.current || !userLoc) return;
@@ -556,6 +1184,11 @@ VITE_MAPBOX_TOKEN=pk...
           <div style={{ opacity: 0.75, fontSize: 12 }}>
             {exploreLoc ? "Explore mode: ON" : "Explore mode: OFF (GPS)"}
           </div>
+          {feedInfo && (
+            <div style={{ opacity: 0.6, fontSize: 11 }} title={feedInfo.feeds?.map((f) => `${f.file} (${f.role})`).join(", ")}>
+              Schedule {feedInfo.version} · {fmtServiceDate(feedInfo.start_date)} – {fmtServiceDate(feedInfo.end_date)}
+            </div>
+          )}
         </div>
 
         <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center" }}>
@@ -575,6 +1208,23 @@ VITE_MAPBOX_TOKEN=pk...
             Stops: {showStops ? "On" : "Off"}
           </button>
 
+          <button
+            onClick={() => setShowTrains((v) => !v)}
+            style={{
+              border: "1px solid rgba(255,255,255,0.14)",
+              background: showTrains ? "rgba(255,255,255,0.16)" : "rgba(0,0,0,0.25)",
+              borderRadius: 999,
+              padding: "8px 10px",
+              color: "white",
+              cursor: "pointer",
+              fontWeight: 900,
+              fontSize: 12,
+            }}
+            title="Approximate live train positions"
+          >
+            Trains: {showTrains ? "On" : "Off"}
+          </button>
+
           <button
             onClick={() => setExploreLoc(null)}
             style={{
@@ -662,10 +1312,107 @@ VITE_MAPBOX_TOKEN=pk...
                 {selectedStop.name}
               </div>
               <div style={{ opacity: 0.75, fontSize: 12 }}>
-                ETAs: scheduled + estimated
+                {live.status === "loading"
+                  ? "Loading live times…"
+                  : liveInfo.usable
+                    ? `LIVE · updated ${fmtAge(liveInfo.ageSec)}`
+                    : "Schedule only"}
               </div>
             </div>
 
+            {/* Live status */}
+            {live.status === "error" && !liveInfo.usable && (
+              <div
+                style={{
+                  marginTop: 10,
+                  padding: "8px 10px",
+                  borderRadius: 10,
+                  background: "rgba(239,68,68,0.18)",
+                  border: "1px solid rgba(239,68,68,0.35)",
+                  fontSize: 12,
+                  lineHeight: 1.4,
+                }}
+                title={live.error || ""}
+              >
+                {live.reconnecting
+                  ? "Live data unavailable — can't reach the transit server."
+                  : "Live data unavailable — the transit server can't get arrivals right now."}{" "}
+                Times below are from the static schedule.
+              </div>
+            )}
+            {liveInfo.stale && (
+              <div
+                style={{
+                  marginTop: 10,
+                  padding: "8px 10px",
+                  borderRadius: 10,
+                  background: "rgba(251,191,36,0.16)",
+                  border: "1px solid rgba(251,191,36,0.35)",
+                  fontSize: 12,
+                  lineHeight: 1.4,
+                }}
+                title={live.error || ""}
+              >
+                Live data is stale (last update {fmtAge(liveInfo.ageSec)}).
+                {live.reconnecting ? " Reconnecting…" : ""}
+              </div>
+            )}
+            {scheduleError && (
+              <div
+                style={{
+                  marginTop: 10,
+                  padding: "8px 10px",
+                  borderRadius: 10,
+                  background: "rgba(251,191,36,0.16)",
+                  border: "1px solid rgba(251,191,36,0.35)",
+                  fontSize: 12,
+                  lineHeight: 1.4,
+                }}
+                title={scheduleError}
+              >
+                Static schedule couldn't be loaded, so lines without live data show no times.
+              </div>
+            )}
+
+            {/* Service alerts */}
+            {stationAlerts.length > 0 && (
+              <div style={{ marginTop: 10, display: "grid", gap: 6 }}>
+                {stationAlerts.map((a) => {
+                  const open = expandedAlertId === a.id;
+                  return (
+                    <button
+                      key={a.id}
+                      onClick={() => setExpandedAlertId(open ? null : a.id)}
+                      style={{
+                        textAlign: "left",
+                        padding: "8px 10px",
+                        borderRadius: 10,
+                        background: "rgba(251,191,36,0.12)",
+                        border: "1px solid rgba(251,191,36,0.30)",
+                        color: "white",
+                        cursor: "pointer",
+                        fontSize: 12,
+                        lineHeight: 1.4,
+                      }}
+                    >
+                      <div style={{ display: "flex", alignItems: "center", gap: 6, flexWrap: "wrap" }}>
+                        {(a.routes || []).map((r) => (
+                          <RouteBullet key={r} line={lineFromRouteId(r)} status={lineStatusOf(lineFromRouteId(r))} />
+                        ))}
+                        <span style={{ fontWeight: 900 }}>{a.header || "Service alert"}</span>
+                        <span style={{ marginLeft: "auto", opacity: 0.7 }}>{open ? "▲" : "▼"}</span>
+                      </div>
+                      {open && a.description && (
+                        <div style={{ marginTop: 6, opacity: 0.85, whiteSpace: "pre-line" }}>
+                          {a.description}
+                        </div>
+                      )}
+                    </button>
+                  );
+                })}
+              </div>
+            )}
+
             {/* Line selector */}
             <div style={{ fontSize: 12, opacity: 0.85, marginTop: 10, marginBottom: 8 }}>
               Line
@@ -693,8 +1440,13 @@ VITE_MAPBOX_TOKEN=pk...
                       fontWeight: 900,
                     }}
                   >
-                    <RouteBullet line={ln} />
+                    <RouteBullet line={ln} alert={alertedLines.has(String(ln).toUpperCase())} status={lineStatusOf(ln)} />
                     <span>{String(ln).toUpperCase()}</span>
+                    {lineDelays[String(ln).toUpperCase()] >= DELAY_SHOW_SEC && (
+                      <span style={{ fontSize: 11, fontWeight: 700, color: "#ffcc66" }}>
+                        running ~{Math.round(lineDelays[String(ln).toUpperCase()] / 60)} min late
+                      </span>
+                    )}
                   </button>
                 );
               })}
@@ -757,10 +1509,15 @@ VITE_MAPBOX_TOKEN=pk...
                     }}
                   >
                     <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
-                      <RouteBullet line={g.line} />
+                      <RouteBullet line={g.line} alert={alertedLines.has(g.line)} status={lineStatusOf(g.line)} />
                       <div style={{ fontWeight: 900, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
                         {g.line} → {g.headsign}
                       </div>
+                      {g.upcoming[0]?.source === "scheduled" && (
+                        <span style={{ marginLeft: "auto", opacity: 0.7, fontSize: 11, fontWeight: 800, whiteSpace: "nowrap" }}>
+                          Schedule only
+                        </span>
+                      )}
                     </div>
 
                     <div style={{ display: "flex", gap: 10, flexWrap: "wrap", marginTop: 8 }}>
@@ -770,7 +1527,7 @@ VITE_MAPBOX_TOKEN=pk...
                           style={{
                             padding: "6px 10px",
                             borderRadius: 999,
-                            background: u.source === "estimated" ? "rgba(59,130,246,0.18)" : "rgba(255,255,255,0.10)",
+                            background: u.source === "live" ? "rgba(34,197,94,0.20)" : "rgba(255,255,255,0.10)",
                             border: "1px solid rgba(255,255,255,0.10)",
                             fontWeight: 800,
                             fontSize: 12,
@@ -778,12 +1535,28 @@ VITE_MAPBOX_TOKEN=pk...
                             alignItems: "center",
                             gap: 8,
                           }}
-                          title={u.source === "estimated" ? "Estimated (simulated)" : `Scheduled time ${u.timeStr}`}
+                          title={
+                            u.source === "live"
+                              ? [
+                                  `Live prediction ${u.timeStr}`,
+                                  u.trainId && `Train ${u.trainId}`,
+                                  !u.assigned && "Not yet assigned a crew/train — may not run",
+                                  u.trackChange && `Track change: now track ${u.track}`,
+                                ]
+                                  .filter(Boolean)
+                                  .join("\n")
+                              : `Scheduled time ${u.timeStr}`
+                          }
                         >
                           <span>{u.etaLabel}</span>
                           <span style={{ opacity: 0.75, fontWeight: 800, fontSize: 11 }}>
-                            {u.source === "estimated" ? "EST" : "SCH"}
+                            {u.source === "live" ? (u.assigned ? "LIVE" : "PLANNED") : "SCH"}
                           </span>
+                          {u.trackChange && (
+                            <span style={{ color: "#fbbf24", fontWeight: 900, fontSize: 11 }}>
+                              TRK {u.track}
+                            </span>
+                          )}
                           {u.timeStr && (
                             <span style={{ opacity: 0.7, fontWeight: 700 }}>
                               {u.timeStr}
@@ -798,15 +1571,15 @@ VITE_MAPBOX_TOKEN=pk...
             </div>
 
             <div style={{ marginTop: 10, opacity: 0.75, fontSize: 12, lineHeight: 1.4 }}>
-              ETAs are estimated using GTFS schedules + a simulation fallback when schedules are far away.
-              Real-time GTFS-RT can be added later via a cached proxy server.
+              LIVE times are GTFS-RT predictions from the MTA via our proxy. SCH times come from the static
+              GTFS schedule and are only shown when no live prediction is available for that line.
             </div>
           </div>
         )}
 
         {/* tabs */}
         <div style={{ display: "flex", gap: 8, marginBottom: 10 }}>
-          {["nearby", "favorites"].map((t) => (
+          {["nearby", "favorites", "status"].map((t) => (
             <button
               key={t}
               onClick={() => setActiveTab(t)}
@@ -827,89 +1600,103 @@ VITE_MAPBOX_TOKEN=pk...
           ))}
         </div>
 
-        {/* stop list */}
-        <div style={{ color: "white", fontSize: 14, fontWeight: 900, marginBottom: 10 }}>
-          {activeTab === "favorites" ? "Favorite stops" : "Nearby stops"}
-        </div>
+        {/* line status board */}
+        {activeTab === "status" && <LineStatusBoard lines={lineStatuses} />}
 
-        <div style={{ display: "grid", gap: 10 }}>
-          {stopsToRender.length === 0 ? (
-            <div style={{ opacity: 0.75, color: "white", fontSize: 12 }}>
-              {activeTab === "favorites"
-                ? "No favorites yet — tap ★ to save a stop."
-                : "Finding stops…"}
+        {/* stop list */}
+        {activeTab !== "status" && (
+          <>
+            <div style={{ color: "white", fontSize: 14, fontWeight: 900, marginBottom: 10 }}>
+              {activeTab === "favorites" ? "Favorite stops" : "Nearby stops"}
             </div>
-          ) : (
-            stopsToRender.map((s) => {
-              const lines = STATION_TO_LINES[s.id] || [];
-              const active = s.id === selectedStopId;
-
-              const distLabel =
-                activeLoc
-                  ? fmtWalkMinutes(distanceMeters(activeLoc.lat, activeLoc.lon, Number(s.lat), Number(s.lon)))
-                  : "";
-
-              return (
-                <button
-                  key={s.id}
-                  onClick={() => {
-                    setSelectedStopId(s.id);
-                    mapRef.current?.flyTo({
-                      center: [Number(s.lon), Number(s.lat)],
-                      zoom: 15.4,
-                      speed: 1.2,
-                    });
-                  }}
-                  style={{
-                    textAlign: "left",
-                    border: "1px solid rgba(255,255,255,0.12)",
-                    background: active ? "rgba(255,255,255,0.14)" : "rgba(255,255,255,0.06)",
-                    borderRadius: 14,
-                    padding: 12,
-                    color: "white",
-                    cursor: "pointer",
-                  }}
-                >
-                  <div style={{ display: "flex", justifyContent: "space-between", gap: 12, alignItems: "center" }}>
-                    <div style={{ fontWeight: 900, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
-                      {s.name}
-                    </div>
 
-                    <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
-                      <div style={{ opacity: 0.85, fontSize: 12 }}>{distLabel}</div>
-
-                      <button
-                        onClick={(e) => {
-                          e.stopPropagation();
-                          toggleFav(s.id);
-                        }}
-                        style={{
-                          border: "none",
-                          background: "transparent",
-                          color: isFav(s.id) ? "#fbbf24" : "rgba(255,255,255,0.65)",
-                          cursor: "pointer",
-                          fontSize: 18,
-                          fontWeight: 900,
-                        }}
-                        title={isFav(s.id) ? "Remove favorite" : "Add to favorites"}
-                      >
-                        ★
-                      </button>
-                    </div>
-                  </div>
+            <div style={{ display: "grid", gap: 10 }}>
+              {stopsToRender.length === 0 ? (
+                <div style={{ opacity: 0.75, color: "white", fontSize: 12 }}>
+                  {activeTab === "favorites"
+                    ? "No favorites yet — tap ★ to save a stop."
+                    : "Finding stops…"}
+                </div>
+              ) : (
+                stopsToRender.map((s) => {
+                  const lines = STATION_TO_LINES[s.id] || [];
+                  const active = s.id === selectedStopId;
 
-                  <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginTop: 8 }}>
-                    {lines.length ? (
-                      lines.slice(0, 12).map((ln) => <RouteBullet key={ln} line={ln} />)
-                    ) : (
-                      <span style={{ opacity: 0.75, fontSize: 12 }}>No line data</span>
-                    )}
-                  </div>
-                </button>
-              );
-            })
-          )}
-        </div>
+                  const distLabel =
+                    activeLoc
+                      ? fmtWalkMinutes(distanceMeters(activeLoc.lat, activeLoc.lon, Number(s.lat), Number(s.lon)))
+                      : "";
+
+                  return (
+                    <button
+                      key={s.id}
+                      onClick={() => {
+                        setSelectedStopId(s.id);
+                        mapRef.current?.flyTo({
+                          center: [Number(s.lon), Number(s.lat)],
+                          zoom: 15.4,
+                          speed: 1.2,
+                        });
+                      }}
+                      style={{
+                        textAlign: "left",
+                        border: "1px solid rgba(255,255,255,0.12)",
+                        background: active ? "rgba(255,255,255,0.14)" : "rgba(255,255,255,0.06)",
+                        borderRadius: 14,
+                        padding: 12,
+                        color: "white",
+                        cursor: "pointer",
+                      }}
+                    >
+                      <div style={{ display: "flex", justifyContent: "space-between", gap: 12, alignItems: "center" }}>
+                        <div style={{ fontWeight: 900, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+                          {s.name}
+                        </div>
+
+                        <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
+                          <div style={{ opacity: 0.85, fontSize: 12 }}>{distLabel}</div>
+
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              toggleFav(s.id);
+                            }}
+                            style={{
+                              border: "none",
+                              background: "transparent",
+                              color: isFav(s.id) ? "#fbbf24" : "rgba(255,255,255,0.65)",
+                              cursor: "pointer",
+                              fontSize: 18,
+                              fontWeight: 900,
+                            }}
+                            title={isFav(s.id) ? "Remove favorite" : "Add to favorites"}
+                          >
+                            ★
+                          </button>
+                        </div>
+                      </div>
+
+                      <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginTop: 8 }}>
+                        {lines.length ? (
+                          lines.slice(0, 12).map((ln) => (
+                            <RouteBullet
+                              key={ln}
+                              line={ln}
+                              alert={alertedLines.has(String(ln).toUpperCase())}
+                              status={lineStatusOf(ln)}
+                            />
+                          ))
+                        ) : (
+                          <span style={{ opacity: 0.75, fontSize: 12 }}>No line data</span>
+                        )}
+                      </div>
+                    </button>
+                  );
+                })
+              )}
+            </div>
+          </>
+        )}
       </div>
     </div>
   );